@@ -0,0 +1,94 @@
+const fs = require("fs").promises;
+const FeedRegistry = require("../services/feedRegistry");
+const { parseOPML, buildOPML } = require("../services/opml");
+const { discoverFeeds } = require("../services/feedDiscovery");
+
+const USAGE = `Usage: npm run feeds -- <command>
+
+Commands:
+  list                       List registered feeds
+  import <file.opml>         Import feeds from an OPML file
+  export [file.opml]         Export feeds as OPML (stdout when no file given)
+  discover <siteUrl> [--add] Find feeds advertised by a site, optionally adding them`;
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const feedRegistry = new FeedRegistry();
+
+  switch (command) {
+    case "list": {
+      const feeds = await feedRegistry.getAllFeeds();
+      feeds.forEach((feed) => {
+        console.log(
+          `${feed.enabled ? "✅" : "⏸️"} ${feed.id}  [${feed.category}] ${
+            feed.name
+          }\n   ${feed.url}`
+        );
+      });
+      break;
+    }
+
+    case "import": {
+      if (!rest[0]) throw new Error("OPML file path is required");
+
+      const opml = await fs.readFile(rest[0], "utf8");
+      const { added, skipped } = await feedRegistry.importFeeds(
+        parseOPML(opml)
+      );
+
+      added.forEach((feed) => console.log(`➕ ${feed.name} (${feed.url})`));
+      skipped.forEach((entry) =>
+        console.log(`⏭️ ${entry.url}: ${entry.reason}`)
+      );
+      break;
+    }
+
+    case "export": {
+      const opml = buildOPML(await feedRegistry.getAllFeeds());
+
+      if (rest[0]) {
+        await fs.writeFile(rest[0], opml);
+        console.log(`💾 Exported feeds to ${rest[0]}`);
+      } else {
+        process.stdout.write(opml);
+      }
+      break;
+    }
+
+    case "discover": {
+      const siteUrl = rest.find((arg) => !arg.startsWith("--"));
+      if (!siteUrl) throw new Error("Site URL is required");
+
+      const feeds = await discoverFeeds(siteUrl);
+      feeds.forEach((feed) =>
+        console.log(`📡 ${feed.title || "(untitled)"} - ${feed.url}`)
+      );
+
+      if (rest.includes("--add") && feeds.length > 0) {
+        await feedRegistry.importFeeds(
+          feeds.map((feed) => ({
+            url: feed.url,
+            type: feed.type,
+            name: feed.title || undefined,
+          }))
+        );
+      }
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("Fatal error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,58 @@
+const {
+  getRetentionPolicy,
+  purgeExpiredArticles,
+} = require("../services/retention");
+
+const USAGE = `Usage: npm run purge -- [options]
+
+Delete articles outside the retention policy from the vector store.
+
+Options:
+  --dry-run             List what would be deleted without deleting it
+  --max-age-days <n>    Override RETENTION_MAX_AGE_DAYS
+  --max-articles <n>    Override RETENTION_MAX_ARTICLES`;
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = Number(args[index + 1]);
+  if (!(value > 0)) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+}
+
+async function main(args) {
+  if (args.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const dryRun = args.includes("--dry-run");
+  const policy = getRetentionPolicy({
+    maxAgeDays: readOption(args, "--max-age-days"),
+    maxArticles: readOption(args, "--max-articles"),
+  });
+
+  const result = await purgeExpiredArticles({ dryRun, policy });
+
+  result.expired.forEach((article) => {
+    console.log(
+      `${dryRun ? "🔎" : "🗑️"} ${article.publishedAt || "undated"}  ${
+        article.title
+      } (${article.reason})\n   ${article.url}`
+    );
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Fatal error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
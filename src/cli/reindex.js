@@ -0,0 +1,63 @@
+const { reindexCollection } = require("../services/reindex");
+const { createVectorStore } = require("../services/vectorStores");
+
+const USAGE = `Usage: npm run reindex -- [options]
+
+Re-embed every stored article with the configured embedding provider
+(EMBEDDING_PROVIDER) into a new collection, then switch the collection
+alias to it. Chat keeps serving the old collection until the switch.
+
+Options:
+  --status              Show the live collection and its embedding model
+  --batch-size <n>      Articles embedded per step (default 100)
+  --keep-old            Keep the previous collection after switching
+  --allow-failures      Switch even if some articles failed to embed`;
+
+async function main(args) {
+  if (args.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.includes("--status")) {
+    const info = await createVectorStore().getCollectionInfo();
+    console.log(
+      info
+        ? `📚 ${info.name} → ${info.collection}: ${info.embeddingModel} (${info.dimension} dimensions), ${info.pointsCount} points`
+        : "📭 No collection yet"
+    );
+    return;
+  }
+
+  const index = args.indexOf("--batch-size");
+  const batchSize = index === -1 ? undefined : Number(args[index + 1]);
+  if (batchSize !== undefined && !(batchSize > 0)) {
+    throw new Error("--batch-size must be a positive number");
+  }
+
+  const result = await reindexCollection({
+    batchSize,
+    keepOld: args.includes("--keep-old"),
+    allowFailures: args.includes("--allow-failures"),
+  });
+
+  result.failed.forEach((item) => console.log(`❌ ${item.url}: ${item.error}`));
+  console.log(
+    `✅ Re-indexed ${result.stored}/${result.scanned} articles into ${
+      result.target
+    } (${result.embeddingModel})${
+      result.keptOld ? `; kept ${result.source}` : ""
+    }`
+  );
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Fatal error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
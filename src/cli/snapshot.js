@@ -0,0 +1,95 @@
+const fs = require("fs");
+const {
+  exportSnapshot,
+  restoreSnapshot,
+  listSnapshots,
+  resolveSnapshotPath,
+} = require("../services/snapshots");
+
+const USAGE = `Usage: npm run snapshot -- <command>
+
+Commands:
+  list                          List snapshots in the snapshot directory
+  export [file]                 Export the live collection (default: data/snapshots)
+  restore <file|name> [--keep-old]
+                                Restore a snapshot into a new collection and
+                                switch the alias to it, keeping the previous
+                                collection with --keep-old`;
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const fileArg = rest.find((arg) => !arg.startsWith("--"));
+
+  switch (command) {
+    case "list": {
+      const snapshots = await listSnapshots();
+      if (snapshots.length === 0) console.log("📭 No snapshots yet");
+
+      snapshots.forEach((snapshot) => {
+        console.log(
+          snapshot.error
+            ? `❌ ${snapshot.name}: ${snapshot.error}`
+            : `📦 ${snapshot.name}  ${snapshot.embeddingModel} (${
+                snapshot.dimension
+              } dimensions), ${formatBytes(snapshot.bytes)}`
+        );
+      });
+      break;
+    }
+
+    case "export": {
+      const result = await exportSnapshot({ filePath: fileArg });
+      console.log(
+        `📦 ${result.points} points (${formatBytes(result.bytes)}) → ${
+          result.file
+        }`
+      );
+      break;
+    }
+
+    case "restore": {
+      if (!fileArg) throw new Error("Snapshot file or name is required");
+
+      // A bare name refers to the snapshot directory
+      const filePath = fs.existsSync(fileArg)
+        ? fileArg
+        : resolveSnapshotPath(fileArg);
+      const result = await restoreSnapshot(filePath, {
+        keepOld: rest.includes("--keep-old"),
+      });
+
+      console.log(
+        `♻️ ${result.articles} articles (${result.points} points) now live in ${
+          result.collection
+        }${result.keptOld ? `; kept ${result.previous}` : ""}`
+      );
+      if (result.invalidated > 0) {
+        console.log(
+          `🔁 ${result.invalidated} articles not in the snapshot will be ingested again on the next run`
+        );
+      }
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("Fatal error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
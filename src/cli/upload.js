@@ -0,0 +1,111 @@
+const fs = require("fs").promises;
+const path = require("path");
+const DocumentUploads = require("../services/documentUploads");
+
+const USAGE = `Usage: npm run upload -- <command>
+
+Commands:
+  add <file|url>... [options]   Ingest HTML, Markdown or text files and URLs
+  list                          List uploaded documents
+  delete <uploadId>             Remove an uploaded document
+
+Options for add:
+  --title <title>       Title (single item only)
+  --source <name>       Source name shown in answers (default "Uploaded document")
+  --category <name>     Category (default "uploads")
+  --author <name>       Author`;
+
+const OPTION_NAMES = ["title", "source", "category", "author"];
+
+/**
+ * Split arguments into positional items and --name value options
+ */
+function parseArgs(args) {
+  const items = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].startsWith("--") ? args[i].substring(2) : null;
+
+    if (!name) {
+      items.push(args[i]);
+    } else if (OPTION_NAMES.includes(name) && args[i + 1] !== undefined) {
+      options[name] = args[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    }
+  }
+
+  return { items, options };
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const documentUploads = new DocumentUploads();
+
+  switch (command) {
+    case "add": {
+      const { items, options } = parseArgs(rest);
+      if (items.length === 0) throw new Error("A file or URL is required");
+
+      const urls = items.filter((item) => /^https?:\/\//i.test(item));
+      const files = await Promise.all(
+        items
+          .filter((item) => !urls.includes(item))
+          .map(async (filePath) => ({
+            originalname: path.basename(filePath),
+            mimetype: "",
+            buffer: await fs.readFile(filePath),
+          }))
+      );
+
+      const { stored, failed } = await documentUploads.ingest(
+        { files, urls },
+        options
+      );
+
+      stored.forEach((item) => console.log(`➕ ${item.id}  ${item.title}`));
+      failed.forEach((item) => console.log(`❌ ${item.item}: ${item.error}`));
+      if (failed.length > 0) process.exitCode = 1;
+      break;
+    }
+
+    case "list": {
+      const uploads = await documentUploads.list();
+      uploads.forEach((item) => {
+        console.log(
+          `📄 ${item.id}  [${item.category}] ${item.title}\n   ${
+            item.fileName || item.url
+          } (indexed ${item.indexedAt})`
+        );
+      });
+      break;
+    }
+
+    case "delete": {
+      if (!rest[0]) throw new Error("Upload ID is required");
+
+      const deleted = await documentUploads.delete(rest[0]);
+      console.log(
+        deleted ? `🗑️ Deleted ${rest[0]}` : `⚠️ Upload not found: ${rest[0]}`
+      );
+      if (!deleted) process.exitCode = 1;
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error("Fatal error:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
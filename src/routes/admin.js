@@ -0,0 +1,347 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getRetentionPolicy,
+  purgeExpiredArticles,
+} = require("../services/retention");
+const { getEmbeddingCache } = require("../services/embeddingCache");
+const { createVectorStore } = require("../services/vectorStores");
+const {
+  exportSnapshot,
+  restoreSnapshot,
+  listSnapshots,
+  resolveSnapshotPath,
+} = require("../services/snapshots");
+
+// The scheduler is created by the server and shared via app settings
+function getScheduler(req) {
+  return req.app.get("ingestionScheduler");
+}
+
+/**
+ * GET /api/admin/ingestion
+ * Scheduler status and the run in progress, if any
+ */
+router.get("/ingestion", (req, res) => {
+  res.json({
+    ...getScheduler(req).getStatus(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /api/admin/ingestion/runs
+ * Recent ingestion runs, newest first
+ */
+router.get("/ingestion/runs", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const runs = await getScheduler(req).runs.getRuns(limit);
+
+    res.json({
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error getting ingestion runs:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ingestion/runs/:runId
+ * A single ingestion run
+ */
+router.get("/ingestion/runs/:runId", async (req, res) => {
+  try {
+    const run = await getScheduler(req).runs.getRun(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error("Error getting ingestion run:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/ingestion/run
+ * Start a pipeline run now; responds immediately with the run record
+ */
+router.post("/ingestion/run", async (req, res) => {
+  try {
+    const run = await getScheduler(req).runNow({
+      trigger: "manual",
+      wait: false,
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        error: "An ingestion run is already in progress",
+      });
+    }
+
+    res.status(202).json(run);
+  } catch (error) {
+    console.error("Error starting ingestion run:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention
+ * Preview the retention policy: articles that a purge would delete
+ */
+router.get("/retention", async (req, res) => {
+  try {
+    const result = await purgeExpiredArticles({ dryRun: true });
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error previewing retention purge:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/retention/purge
+ * Delete expired articles. Body: { dryRun, maxAgeDays, maxArticles }
+ */
+router.post("/retention/purge", async (req, res) => {
+  try {
+    const { dryRun = false, maxAgeDays, maxArticles } = req.body || {};
+
+    for (const [name, value] of Object.entries({ maxAgeDays, maxArticles })) {
+      if (value !== undefined && !(typeof value === "number" && value > 0)) {
+        return res.status(400).json({
+          error: "Invalid retention policy",
+          message: `${name} must be a positive number`,
+        });
+      }
+    }
+
+    const result = await purgeExpiredArticles({
+      dryRun: dryRun === true,
+      policy: getRetentionPolicy({ maxAgeDays, maxArticles }),
+    });
+
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error purging expired articles:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/collection
+ * The live collection behind the alias, its embedding model and whether
+ * it matches the configured provider
+ */
+router.get("/collection", async (req, res) => {
+  try {
+    const vectorStore = createVectorStore();
+    const info = await vectorStore.getCollectionInfo();
+
+    let modelMismatch = null;
+    try {
+      await vectorStore.verifyEmbeddingModel({ force: true });
+    } catch (error) {
+      if (error.code !== "EMBEDDING_MODEL_MISMATCH") throw error;
+      modelMismatch = error.message;
+    }
+
+    res.json({
+      collection: info,
+      provider: {
+        embeddingModel: vectorStore.embeddingModel,
+        dimension: vectorStore.vectorSize,
+      },
+      modelMismatch,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error getting collection info:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+// Snapshot errors callers can act on, by error code
+const SNAPSHOT_ERROR_STATUS = {
+  INVALID_SNAPSHOT: 400,
+  ENOENT: 404,
+  COLLECTION_NOT_FOUND: 404,
+  EMBEDDING_MODEL_MISMATCH: 409,
+  INGESTION_IN_PROGRESS: 409,
+};
+
+function sendSnapshotError(res, error) {
+  const status = SNAPSHOT_ERROR_STATUS[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      error: status === 404 ? "Not found" : "Snapshot request failed",
+      message: error.code === "ENOENT" ? "Snapshot not found" : error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: "Internal server error",
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/admin/snapshots
+ * Collection snapshots on disk, newest first
+ */
+router.get("/snapshots", async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+
+    res.json({
+      snapshots,
+      count: snapshots.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error listing snapshots:", error.message);
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/snapshots
+ * Export the live collection to a new snapshot
+ */
+router.post("/snapshots", async (req, res) => {
+  try {
+    const snapshot = await exportSnapshot({ scheduler: getScheduler(req) });
+    delete snapshot.file;
+
+    res.status(201).json(snapshot);
+  } catch (error) {
+    console.error("Error exporting snapshot:", error.message);
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/snapshots/:name
+ * Download a snapshot file
+ */
+router.get("/snapshots/:name", (req, res) => {
+  try {
+    res.download(resolveSnapshotPath(req.params.name), (error) => {
+      if (error && !res.headersSent) sendSnapshotError(res, error);
+    });
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/snapshots/:name/restore
+ * Restore a snapshot into a new collection and switch to it.
+ * Body: { keepOld } to keep the previous collection
+ */
+router.post("/snapshots/:name/restore", async (req, res) => {
+  try {
+    const { keepOld = false } = req.body || {};
+    const result = await restoreSnapshot(resolveSnapshotPath(req.params.name), {
+      keepOld: keepOld === true,
+      scheduler: getScheduler(req),
+    });
+    delete result.file;
+
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error restoring snapshot:", error.message);
+    sendSnapshotError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/embedding-cache
+ * Embedding cache size and hit/miss counts since the server started
+ */
+router.get("/embedding-cache", async (req, res) => {
+  try {
+    const cache = getEmbeddingCache();
+
+    res.json({
+      enabled: Boolean(cache),
+      ...(cache ? await cache.getStats() : {}),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error getting embedding cache stats:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/embedding-cache/evict
+ * Evict old entries now. Body: { maxEntries, maxAgeDays }, both optional
+ */
+router.post("/embedding-cache/evict", async (req, res) => {
+  try {
+    const cache = getEmbeddingCache();
+    if (!cache) {
+      return res.status(409).json({ error: "Embedding cache is disabled" });
+    }
+
+    const { maxEntries, maxAgeDays } = req.body || {};
+
+    for (const [name, value] of Object.entries({ maxEntries, maxAgeDays })) {
+      if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+        return res.status(400).json({
+          error: "Invalid eviction policy",
+          message: `${name} must be a non-negative number`,
+        });
+      }
+    }
+
+    const evicted = await cache.evict({
+      maxEntries,
+      maxAgeMs: maxAgeDays !== undefined ? maxAgeDays * 86400000 : undefined,
+    });
+
+    res.json({
+      evicted,
+      ...(await cache.getStats()),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error evicting embedding cache:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
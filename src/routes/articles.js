@@ -0,0 +1,170 @@
+const express = require("express");
+const router = express.Router();
+const { createVectorStore } = require("../services/vectorStores");
+const { parseQueryFilters } = require("../services/searchFilters");
+
+// Initialize services
+const vectorStore = createVectorStore();
+
+const MAX_RELATED_LIMIT = 20;
+
+/**
+ * GET /api/articles
+ * Browse stored articles, newest first. Query: limit (max 100), cursor,
+ * order (desc|asc) and the search filters (sources, categories,
+ * languages, feedIds, sourceTypes, since, from, to).
+ */
+router.get("/", async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = parseQueryFilters(req.query);
+    } catch (error) {
+      if (error.code !== "INVALID_FILTERS") throw error;
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    const { articles, nextCursor } = await vectorStore.listArticles({
+      limit: req.query.limit,
+      cursor: req.query.cursor || null,
+      order: req.query.order || "desc",
+      filters,
+    });
+
+    res.json({
+      articles,
+      count: articles.length,
+      nextCursor,
+      filters,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === "INVALID_LIST_REQUEST") {
+      return res.status(400).json({
+        error: "Invalid request",
+        message: error.message,
+      });
+    }
+
+    console.error("Error listing articles:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/articles/:id
+ * The full stored payload of an article. The ID is
+ * VectorStore.generateId(url).
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const article = await vectorStore.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        error: "Article not found",
+      });
+    }
+
+    res.json({ article });
+  } catch (error) {
+    console.error("Error getting article:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/articles/:id/related
+ * Articles most similar to a stored one, from its stored vectors and
+ * diversified by outlet. Query: limit (default 5, max 20) and the search
+ * filters.
+ */
+router.get("/:id/related", async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_RELATED_LIMIT}`,
+      });
+    }
+
+    let filters;
+    try {
+      filters = parseQueryFilters(req.query);
+    } catch (error) {
+      if (error.code !== "INVALID_FILTERS") throw error;
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    const article = await vectorStore.getArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({
+        error: "Article not found",
+      });
+    }
+
+    const related = await vectorStore.findRelatedArticles(article.articleId, {
+      limit,
+      filters,
+    });
+
+    res.json({
+      id: article.articleId,
+      related: related || [],
+      count: (related || []).length,
+      filters,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error finding related articles:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/articles/:id
+ * Remove an article and all of its chunks
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const article = await vectorStore.getArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        error: "Article not found",
+      });
+    }
+
+    await vectorStore.deleteArticles([article.articleId]);
+
+    res.json({
+      message: "Article deleted successfully",
+      id: article.articleId,
+      url: article.url,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error deleting article:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const SessionManager = require("../services/sessionManager");
 const RAGPipeline = require("../services/ragPipeline");
+const VectorStore = require("../services/vectorStore");
+const { parseSearchFilters } = require("../services/searchFilters");
 
 // Initialize services
 const sessionManager = new SessionManager();
@@ -27,6 +29,16 @@ router.post("/", async (req, res) => {
       });
     }
 
+    let filters;
+    try {
+      filters = parseSearchFilters(req.body.filters);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
     // Create new session if none provided
     let currentSessionId = sessionId;
     let isNewSession = false;
@@ -84,7 +96,8 @@ router.post("/", async (req, res) => {
     const ragResult = await ragPipeline.processQueryWithContext(
       message.trim(),
       chatHistory,
-      currentSessionId
+      currentSessionId,
+      filters
     );
 
     // Add assistant response to history
@@ -99,6 +112,7 @@ router.post("/", async (req, res) => {
       response: ragResult.response,
       sessionId: currentSessionId,
       sources: ragResult.sources,
+      filters,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -338,12 +352,33 @@ router.put("/sessions/:sessionId", async (req, res) => {
 
 router.post("/test", async (req, res) => {
   try {
-    const { query = "What's the latest news about technology?" } = req.body;
+    const {
+      query = "What's the latest news about technology?",
+      mode = ragPipeline.searchMode,
+    } = req.body;
+
+    if (!VectorStore.SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: "Invalid search mode",
+        message: `mode must be one of: ${VectorStore.SEARCH_MODES.join(", ")}`,
+      });
+    }
+
+    let filters;
+    try {
+      filters = parseSearchFilters(req.body.filters);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
 
-    const result = await ragPipeline.processQuery(query);
+    const result = await ragPipeline.processQuery(query, null, filters, mode);
 
     res.json({
       testQuery: query,
+      mode,
       result,
       timestamp: new Date().toISOString(),
     });
@@ -0,0 +1,284 @@
+const express = require("express");
+const router = express.Router();
+const FeedRegistry = require("../services/feedRegistry");
+const { parseOPML, buildOPML } = require("../services/opml");
+const { discoverFeeds } = require("../services/feedDiscovery");
+
+// Initialize services
+const feedRegistry = new FeedRegistry();
+
+/**
+ * GET /api/feeds
+ * List all registered feeds
+ */
+router.get("/", async (req, res) => {
+  try {
+    const feeds = await feedRegistry.getAllFeeds();
+
+    res.json({
+      feeds,
+      count: feeds.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error getting feeds:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/feeds/export
+ * Export the registry as an OPML document
+ */
+router.get("/export", async (req, res) => {
+  try {
+    const feeds = await feedRegistry.getAllFeeds();
+
+    res.set("Content-Type", "text/x-opml; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="feeds.opml"');
+    res.send(buildOPML(feeds));
+  } catch (error) {
+    console.error("Error exporting feeds:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/feeds/import
+ * Import feeds from an OPML document, sent raw as XML or as { "opml": "..." }
+ */
+router.post(
+  "/import",
+  express.text({
+    type: ["text/xml", "application/xml", "text/x-opml"],
+    limit: "1mb",
+  }),
+  async (req, res) => {
+    try {
+      const opml = typeof req.body === "string" ? req.body : req.body.opml;
+
+      if (!opml || typeof opml !== "string") {
+        return res.status(400).json({
+          error: "OPML document is required",
+        });
+      }
+
+      let entries;
+      try {
+        entries = parseOPML(opml);
+      } catch (error) {
+        return res.status(400).json({
+          error: "Invalid OPML",
+          message: error.message,
+        });
+      }
+
+      const result = await feedRegistry.importFeeds(entries);
+
+      res.json({
+        message: "Feeds imported successfully",
+        added: result.added,
+        skipped: result.skipped,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error importing feeds:", error.message);
+      res.status(500).json({
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/feeds/discover
+ * Find the feeds a site advertises; pass "add": true to register them
+ */
+router.post("/discover", async (req, res) => {
+  try {
+    const { url, add = false, category } = req.body || {};
+
+    if (feedRegistry.validateFeed({ url }).length > 0) {
+      return res.status(400).json({
+        error: "A valid http(s) url is required",
+      });
+    }
+
+    const discovered = await discoverFeeds(url);
+    let imported = null;
+
+    if (add && discovered.length > 0) {
+      imported = await feedRegistry.importFeeds(
+        discovered.map((feed) => ({
+          url: feed.url,
+          type: feed.type,
+          name: feed.title || undefined,
+          category,
+        }))
+      );
+    }
+
+    res.json({
+      url,
+      feeds: discovered,
+      added: imported ? imported.added : [],
+      skipped: imported ? imported.skipped : [],
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error discovering feeds:", error.message);
+    res.status(502).json({
+      error: "Feed discovery failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/feeds/:feedId
+ * Get a single feed
+ */
+router.get("/:feedId", async (req, res) => {
+  try {
+    const feed = await feedRegistry.getFeed(req.params.feedId);
+
+    if (!feed) {
+      return res.status(404).json({
+        error: "Feed not found",
+      });
+    }
+
+    res.json({ feed });
+  } catch (error) {
+    console.error("Error getting feed:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/feeds
+ * Register a new feed
+ */
+router.post("/", async (req, res) => {
+  try {
+    const errors = feedRegistry.validateFeed(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid feed",
+        details: errors,
+      });
+    }
+
+    const existingFeed = await feedRegistry.findByUrl(req.body.url);
+    if (existingFeed) {
+      return res.status(409).json({
+        error: "Feed already registered",
+        feed: existingFeed,
+      });
+    }
+
+    const feed = await feedRegistry.addFeed(req.body);
+
+    res.status(201).json({
+      message: "Feed created successfully",
+      feed,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error creating feed:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/feeds/:feedId
+ * Update feed settings
+ */
+router.put("/:feedId", async (req, res) => {
+  try {
+    const { feedId } = req.params;
+
+    const errors = feedRegistry.validateFeed(req.body || {}, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid feed",
+        details: errors,
+      });
+    }
+
+    if (req.body.url !== undefined) {
+      const existingFeed = await feedRegistry.findByUrl(req.body.url);
+      if (existingFeed && existingFeed.id !== feedId) {
+        return res.status(409).json({
+          error: "Feed already registered",
+          feed: existingFeed,
+        });
+      }
+    }
+
+    const feed = await feedRegistry.updateFeed(feedId, req.body);
+
+    if (!feed) {
+      return res.status(404).json({
+        error: "Feed not found",
+      });
+    }
+
+    res.json({
+      message: "Feed updated successfully",
+      feed,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error updating feed:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/feeds/:feedId
+ * Remove a feed from the registry
+ */
+router.delete("/:feedId", async (req, res) => {
+  try {
+    const { feedId } = req.params;
+    const deleted = await feedRegistry.deleteFeed(feedId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Feed not found",
+      });
+    }
+
+    res.json({
+      message: "Feed deleted successfully",
+      feedId,
+    });
+  } catch (error) {
+    console.error("Error deleting feed:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require("express");
+const router = express.Router();
+const ArticleSearch = require("../services/articleSearch");
+const { parseQueryFilters } = require("../services/searchFilters");
+
+// Initialize services
+const articleSearch = new ArticleSearch();
+
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * GET /api/search?q=
+ * Ranked articles for a query, without generating an answer or touching
+ * chat sessions. Query: q, limit (default 10, max 50), scoreThreshold
+ * (0-1) and the search filters (sources, categories, languages, feedIds,
+ * sourceTypes, since, from, to).
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      return res.status(400).json({
+        error: "Query parameter q is required",
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`,
+      });
+    }
+
+    let scoreThreshold;
+    if (req.query.scoreThreshold !== undefined) {
+      scoreThreshold = Number(req.query.scoreThreshold);
+      if (
+        req.query.scoreThreshold === "" ||
+        !Number.isFinite(scoreThreshold) ||
+        scoreThreshold < 0 ||
+        scoreThreshold > 1
+      ) {
+        return res.status(400).json({
+          error: "scoreThreshold must be a number between 0 and 1",
+        });
+      }
+    }
+
+    let filters;
+    try {
+      filters = parseQueryFilters(req.query);
+    } catch (error) {
+      if (error.code !== "INVALID_FILTERS") throw error;
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    const results = await articleSearch.search(query, {
+      limit,
+      scoreThreshold,
+      filters,
+    });
+
+    res.json({
+      query,
+      results,
+      count: results.length,
+      filters,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error searching articles:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const SessionManager = require("../services/sessionManager");
 const StreamingRAGPipeline = require("../services/streamingRagPipeline");
+const { parseSearchFilters } = require("../services/searchFilters");
 
 class SocketChatHandler {
   constructor(io) {
@@ -42,6 +43,17 @@ class SocketChatHandler {
             return;
           }
 
+          let filters;
+          try {
+            filters = parseSearchFilters(data.filters);
+          } catch (error) {
+            socket.emit("error", {
+              message: "Invalid filters",
+              details: error.message,
+            });
+            return;
+          }
+
           // Create new session if none provided
           let currentSessionId = sessionId;
           let isNewSession = false;
@@ -117,7 +129,8 @@ class SocketChatHandler {
               message.trim(),
               chatHistory,
               currentSessionId,
-              socket // Pass socket for streaming
+              socket, // Pass socket for streaming
+              filters
             );
 
           // Add assistant response to history
@@ -0,0 +1,150 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const DocumentUploads = require("../services/documentUploads");
+
+// Initialize services
+const documentUploads = new DocumentUploads();
+
+const MAX_FILES = 20;
+const MAX_URLS = 50;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: MAX_FILES },
+  // Browsers send UTF-8 file names; busboy would read them as latin1
+  defParamCharset: "utf8",
+});
+
+/**
+ * Accept "urls" as a JSON array, or in a form as repeated fields or a
+ * newline/comma-separated list
+ */
+function parseUrls(value) {
+  const urls = Array.isArray(value) ? value : value ? [value] : [];
+
+  return urls
+    .flatMap((entry) => String(entry).split(/[\n,]/))
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+function isHttpUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * GET /api/uploads
+ * List uploaded documents
+ */
+router.get("/", async (req, res) => {
+  try {
+    const uploads = await documentUploads.list();
+
+    res.json({
+      uploads,
+      count: uploads.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error listing uploads:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/uploads
+ * Ingest HTML, Markdown or plain-text files (multipart field "files") and/or
+ * a list of URLs ("urls"). Optional fields: title, source, category, author.
+ */
+router.post("/", (req, res) => {
+  upload.array("files", MAX_FILES)(req, res, async (uploadError) => {
+    // Limit breaches arrive as MulterError with a code; malformed
+    // multipart bodies and aborted requests as plain errors
+    if (uploadError) {
+      return res.status(400).json({
+        error: "Invalid upload",
+        code: uploadError.code,
+        message: uploadError.message,
+      });
+    }
+
+    try {
+      const body = req.body || {};
+      const files = req.files || [];
+      const urls = parseUrls(body.urls);
+
+      if (files.length === 0 && urls.length === 0) {
+        return res.status(400).json({
+          error: "At least one file or URL is required",
+          supportedFileTypes: DocumentUploads.SUPPORTED_EXTENSIONS,
+        });
+      }
+
+      const invalidUrls = urls.filter((url) => !isHttpUrl(url));
+      if (invalidUrls.length > 0 || urls.length > MAX_URLS) {
+        return res.status(400).json({
+          error: "Invalid urls",
+          message:
+            invalidUrls.length > 0
+              ? `Not valid http(s) URLs: ${invalidUrls.join(", ")}`
+              : `At most ${MAX_URLS} URLs per request`,
+        });
+      }
+
+      const { title, source, category, author } = body;
+      const result = await documentUploads.ingest(
+        { files, urls },
+        { title, source, category, author }
+      );
+
+      res.status(result.stored.length > 0 ? 201 : 422).json({
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error ingesting uploads:", error.message);
+      res.status(500).json({
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  });
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Remove an uploaded document and all of its chunks
+ */
+router.delete("/:uploadId", async (req, res) => {
+  try {
+    const deleted = await documentUploads.delete(req.params.uploadId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Upload not found",
+      });
+    }
+
+    res.json({
+      message: "Upload deleted successfully",
+      uploadId: req.params.uploadId,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error deleting upload:", error.message);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
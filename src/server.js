@@ -49,11 +49,21 @@ const io = new Server(server, {
 
 // Import and use route modules
 app.use("/api/chat", require("./routes/chat"));
+app.use("/api/feeds", require("./routes/feeds"));
+app.use("/api/admin", require("./routes/admin"));
+app.use("/api/uploads", require("./routes/uploads"));
+app.use("/api/articles", require("./routes/articles"));
+app.use("/api/search", require("./routes/search"));
 
 // Initialize Socket.IO chat handler
 const SocketChatHandler = require("./routes/socketChat");
 new SocketChatHandler(io);
 
+// Scheduled ingestion (enabled by INGESTION_SCHEDULE)
+const IngestionScheduler = require("./services/ingestionScheduler");
+const ingestionScheduler = new IngestionScheduler();
+app.set("ingestionScheduler", ingestionScheduler);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error("Error:", err.message);
@@ -68,10 +78,26 @@ app.use("*", (req, res) => {
   res.status(404).json({ error: "Route not found" });
 });
 
-server.listen(PORT, () => {
-  console.log(`🚀 News AI Assistant server running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔌 Socket.IO ready for real-time connections`);
-});
+// Refuse to start against a collection embedded with another model
+const { createVectorStore } = require("./services/vectorStores");
+
+createVectorStore()
+  .verifyEmbeddingModel()
+  .catch((error) => {
+    if (error.code === "EMBEDDING_MODEL_MISMATCH") {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    // The vector store may come up later; queries check again
+    console.warn("⚠️ Could not verify the embedding model:", error.message);
+  })
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 News AI Assistant server running on port ${PORT}`);
+      console.log(`📍 Health check: http://localhost:${PORT}/health`);
+      console.log(`🔌 Socket.IO ready for real-time connections`);
+      ingestionScheduler.start();
+    });
+  });
 
 module.exports = app;
@@ -0,0 +1,67 @@
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const VectorStore = require("./vectorStore");
+const { createVectorStore } = require("./vectorStores");
+const { highlightSnippet } = require("./snippets");
+require("dotenv").config();
+
+/**
+ * Ranked article search without answer generation: embeds the query,
+ * searches chunks and returns one result per article with a highlighted
+ * snippet of its best-matching passage
+ */
+class ArticleSearch {
+  constructor({ embeddings = createEmbeddingProvider(), vectorStore } = {}) {
+    this.embeddings = embeddings;
+    this.vectorStore =
+      vectorStore ||
+      createVectorStore({
+        vectorSize: embeddings.dimension,
+        embeddingModel: embeddings.model,
+      });
+  }
+
+  /**
+   * Articles most similar to `query`, best first. `scoreThreshold`
+   * defaults to the embedding provider's similarity threshold; `filters`
+   * are parsed search filters.
+   */
+  async search(
+    query,
+    {
+      limit = 10,
+      scoreThreshold = this.embeddings.similarityThreshold,
+      filters = null,
+    } = {}
+  ) {
+    try {
+      console.log(`🔎 Searching articles for: "${query}"`);
+
+      const { embedding } = await this.embeddings.embedText(query);
+      const chunkResults = await this.vectorStore.searchSimilar(
+        embedding,
+        limit * VectorStore.CHUNKS_PER_ARTICLE,
+        scoreThreshold,
+        filters
+      );
+
+      return this.vectorStore
+        .groupChunksByArticle(chunkResults, limit)
+        .map(({ passages, ...article }) => {
+          const best = passages.reduce((top, passage) =>
+            passage.score > top.score ? passage : top
+          );
+
+          return {
+            ...article,
+            chunkIndex: best.chunkIndex,
+            snippet: highlightSnippet(best.text || article.description, query),
+          };
+        });
+    } catch (error) {
+      console.error("Error searching articles:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = ArticleSearch;
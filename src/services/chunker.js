@@ -0,0 +1,139 @@
+// Defaults sized to stay well inside the embedding model's context window
+const DEFAULT_CHUNK_SIZE = 1200;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// A sentence ends at terminal punctuation (and any closing quote or
+// bracket) followed by whitespace and a capital letter, so decimals,
+// domains and lowercase abbreviations stay whole
+const SENTENCE_BREAK = /(?<=[.!?]["'”’)\]]*)\s+(?=["'“‘(\[]?\p{Lu})/u;
+
+/**
+ * Split text into sentences, keeping terminal punctuation
+ */
+function splitSentences(text) {
+  return text
+    .split(SENTENCE_BREAK)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Break a sentence longer than the chunk size on word boundaries. Words
+ * longer than the chunk size (URLs, base64 runs) are cut at the chunk size.
+ */
+function splitLongSentence(sentence, chunkSize) {
+  const pieces = [];
+  let current = "";
+
+  sentence.split(/\s+/).forEach((word) => {
+    if (current && current.length + word.length + 1 > chunkSize) {
+      pieces.push(current);
+      current = "";
+    }
+
+    let rest = word;
+    while (rest.length > chunkSize) {
+      pieces.push(rest.slice(0, chunkSize));
+      rest = rest.slice(chunkSize);
+    }
+    current = current ? `${current} ${rest}` : rest;
+  });
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split text into overlapping chunks that end on sentence boundaries.
+ * Paragraph breaks are kept inside chunks; the overlap carries the last
+ * sentences of one chunk into the start of the next.
+ */
+function chunkText(
+  text,
+  { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}
+) {
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+
+  // Sentences tagged with whether they open a new paragraph
+  const units = [];
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .forEach((paragraph) => {
+      splitSentences(paragraph).forEach((sentence, index) => {
+        splitLongSentence(sentence, chunkSize).forEach((piece, pieceIndex) => {
+          units.push({
+            text: piece,
+            paragraphStart: index === 0 && pieceIndex === 0,
+          });
+        });
+      });
+    });
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const render = (parts) =>
+    parts
+      .map((unit, index) =>
+        index > 0 && unit.paragraphStart ? `\n\n${unit.text}` : unit.text
+      )
+      .join(" ")
+      .replace(/ \n\n/g, "\n\n");
+
+  units.forEach((unit) => {
+    if (current.length > 0 && currentLength + unit.text.length > chunkSize) {
+      chunks.push(render(current));
+
+      // Carry trailing sentences forward as overlap
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedLength + current[i].text.length > overlap) break;
+        carried.unshift(current[i]);
+        carriedLength += current[i].text.length + 1;
+      }
+
+      current = carried;
+      currentLength = carriedLength;
+    }
+
+    current.push(unit);
+    currentLength += unit.text.length + 1;
+  });
+
+  if (current.length > 0) {
+    chunks.push(render(current));
+  }
+
+  return chunks;
+}
+
+/**
+ * Chunk an article's description and body text
+ */
+function chunkArticle(article, options) {
+  const text = [article.description, article.content]
+    .filter((part) => part && part.trim().length > 0)
+    .join("\n\n");
+
+  const chunks = chunkText(text, options);
+
+  // Articles with no body still get one chunk so they remain searchable
+  if (chunks.length === 0 && article.title) {
+    return [article.title.trim()];
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  chunkArticle,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+};
@@ -0,0 +1,339 @@
+const cheerio = require("cheerio");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_RULES_FILE = path.join(
+  __dirname,
+  "../../data/extraction_rules.json"
+);
+
+// Articles scoring below this are flagged as low-quality extractions
+const LOW_QUALITY_THRESHOLD = 0.4;
+
+// Elements that never hold article text
+const STRIP_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "button",
+  "input",
+  "select",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="complementary"]',
+  '[aria-hidden="true"]',
+];
+
+// Class/id names that mark boilerplate even inside article containers
+const STRONG_BOILERPLATE_PATTERN =
+  /cookie|consent|gdpr|newsletter|subscribe|signup|sign-up|related|recommend|promo|sponsor|advert|\bads?\b|share|social|popup|modal|paywall|outbrain|taboola|more-stories|read-more/i;
+// Class/id names that mark boilerplate unless they also look like content
+const BOILERPLATE_PATTERN =
+  /banner|comment|sidebar|breadcrumb|footer|masthead|byline-tools|widget|menu/i;
+const CONTENT_PATTERN =
+  /article|body|content|entry|main|post|story|text|blog|hentry/i;
+
+// Short boilerplate lines that slip through as paragraphs
+const BOILERPLATE_TEXT_PATTERN =
+  /^(advertisement|share this|follow us|sign up|subscribe|read more|related:|accept (all )?cookies|we use cookies)/i;
+
+const BLOCK_SELECTOR = "p, h2, h3, h4, li, blockquote, pre";
+
+let cachedRules = null;
+
+/**
+ * Load per-domain include/exclude selectors, e.g.
+ * { "example.com": { "include": [".story-body"], "exclude": [".promo"] } }
+ */
+function loadExtractionRules(
+  filePath = process.env.EXTRACTION_RULES_FILE || DEFAULT_RULES_FILE
+) {
+  if (cachedRules && cachedRules.filePath === filePath) {
+    return cachedRules.rules;
+  }
+
+  let rules = {};
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(
+        `Failed to load extraction rules from ${filePath}:`,
+        error.message
+      );
+    }
+  }
+
+  cachedRules = { filePath, rules };
+  return rules;
+}
+
+/**
+ * Find rules for a hostname, falling back to parent domains
+ */
+function getDomainRules(url, rules = loadExtractionRules()) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return {};
+  }
+
+  const parts = hostname.split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    const domain = parts.slice(i).join(".");
+    if (rules[domain]) {
+      return rules[domain];
+    }
+  }
+
+  return {};
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Paragraphs long enough to be article prose rather than a label or link
+function longParagraphCount($, element) {
+  return $(element)
+    .find("p")
+    .filter((i, p) => normalizeText($(p).text()).length > 80).length;
+}
+
+function linkDensity($, element) {
+  const textLength = normalizeText($(element).text()).length;
+  if (textLength === 0) return 0;
+
+  const linkLength = normalizeText($(element).find("a").text()).length;
+  return linkLength / textLength;
+}
+
+function classWeight(element) {
+  const attributes = `${element.attribs?.class || ""} ${
+    element.attribs?.id || ""
+  }`;
+  let weight = 0;
+
+  if (CONTENT_PATTERN.test(attributes)) weight += 25;
+  if (
+    STRONG_BOILERPLATE_PATTERN.test(attributes) ||
+    BOILERPLATE_PATTERN.test(attributes)
+  ) {
+    weight -= 25;
+  }
+
+  return weight;
+}
+
+function tagWeight(tagName) {
+  switch (tagName) {
+    case "article":
+      return 10;
+    case "main":
+    case "section":
+    case "div":
+      return 5;
+    case "blockquote":
+    case "pre":
+    case "td":
+      return 3;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Remove elements that are boilerplate by class/id naming
+ */
+function removeBoilerplate($) {
+  $("[class], [id]").each((index, element) => {
+    if (element.tagName === "body" || element.tagName === "html") return;
+
+    const attributes = `${element.attribs.class || ""} ${
+      element.attribs.id || ""
+    }`;
+    const isBoilerplate =
+      STRONG_BOILERPLATE_PATTERN.test(attributes) ||
+      (BOILERPLATE_PATTERN.test(attributes) &&
+        !CONTENT_PATTERN.test(attributes));
+
+    if (!isBoilerplate) return;
+
+    // A wrapper holding several real paragraphs is content, whatever its name
+    if (longParagraphCount($, element) < 3) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Remove search, newsletter and comment forms. ASP.NET WebForms pages and
+ * some CMS themes wrap the whole page in one <form>, which is kept.
+ */
+function removeForms($) {
+  $("form").each((index, element) => {
+    if (longParagraphCount($, element) < 3) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Score candidate containers by the paragraphs they hold
+ */
+function findTopCandidate($) {
+  const scores = new Map();
+
+  const addScore = (element, score) => {
+    if (!element || element.type !== "tag") return;
+    if (!scores.has(element)) {
+      scores.set(element, tagWeight(element.tagName) + classWeight(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+
+  $("p, pre, td, blockquote").each((index, element) => {
+    const text = normalizeText($(element).text());
+    if (text.length < 25) return;
+
+    // Longer, comma-rich paragraphs are more likely article prose
+    const score =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+    addScore(element.parent, score);
+    addScore(element.parent && element.parent.parent, score / 2);
+  });
+
+  let topCandidate = null;
+  let topScore = 0;
+
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, element));
+    if (adjusted > topScore) {
+      topCandidate = element;
+      topScore = adjusted;
+    }
+  }
+
+  return topCandidate;
+}
+
+/**
+ * Collect block-level text from a container, one entry per paragraph
+ */
+function collectParagraphs($, root) {
+  const paragraphs = [];
+  const blocks = $(root).find(BLOCK_SELECTOR);
+
+  const pushParagraph = (text) => {
+    if (
+      text.length > 0 &&
+      !BOILERPLATE_TEXT_PATTERN.test(text) &&
+      paragraphs[paragraphs.length - 1] !== text
+    ) {
+      paragraphs.push(text);
+    }
+  };
+
+  if (blocks.length === 0) {
+    pushParagraph(normalizeText($(root).text()));
+    return paragraphs;
+  }
+
+  blocks.each((index, element) => {
+    // Nested blocks (e.g. <p> inside <blockquote>) are read by their parent
+    if ($(element).parents(BLOCK_SELECTOR).length > 0) return;
+    if (linkDensity($, element) > 0.5) return;
+
+    pushParagraph(normalizeText($(element).text()));
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Rate an extraction from 0 to 1 by length, structure and link density
+ */
+function scoreExtraction(paragraphs, pageTextLength, density) {
+  const text = paragraphs.join(" ");
+  if (text.length === 0) return 0;
+
+  const lengthScore = Math.min(text.length / 1500, 1);
+  const structureScore = Math.min(paragraphs.length / 5, 1);
+  const linkScore = 1 - Math.min(density * 2, 1);
+  const coverage = pageTextLength > 0 ? text.length / pageTextLength : 0;
+  // Extractions that are almost the whole page usually include boilerplate
+  const coverageScore = coverage > 0.9 ? 0.5 : 1;
+
+  const score =
+    (lengthScore * 0.45 + structureScore * 0.25 + linkScore * 0.3) *
+    coverageScore;
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Extract the main article text from an HTML page. Paragraphs are separated
+ * by blank lines. Returns the text plus an extraction-quality score.
+ */
+function extractContent(html, url, { rules } = {}) {
+  const $ = cheerio.load(html);
+  const domainRules = getDomainRules(url, rules || loadExtractionRules());
+
+  const pageTextLength = normalizeText($("body").text()).length;
+
+  $([...STRIP_SELECTORS, ...(domainRules.exclude || [])].join(", ")).remove();
+  removeForms($);
+
+  let root = null;
+  let method = "density";
+
+  // Domain include rules take precedence over the heuristics
+  if (domainRules.include && domainRules.include.length > 0) {
+    const included = $(domainRules.include.join(", "));
+    if (included.length > 0) {
+      root = included;
+      method = "rules";
+    }
+  }
+
+  if (!root) {
+    removeBoilerplate($);
+    const candidate = findTopCandidate($);
+    root = candidate ? $(candidate) : $("body");
+    if (!candidate) method = "body";
+  }
+
+  const paragraphs = [];
+  root.each((index, element) => {
+    paragraphs.push(...collectParagraphs($, element));
+  });
+
+  const content = paragraphs.join("\n\n");
+  const density = root.length > 0 ? linkDensity($, root.get(0)) : 0;
+  const extractionScore = scoreExtraction(paragraphs, pageTextLength, density);
+
+  return {
+    content,
+    extractionScore,
+    lowQuality: extractionScore < LOW_QUALITY_THRESHOLD,
+    method,
+  };
+}
+
+module.exports = {
+  extractContent,
+  loadExtractionRules,
+  getDomainRules,
+  LOW_QUALITY_THRESHOLD,
+};
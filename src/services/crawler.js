@@ -0,0 +1,350 @@
+const axios = require("axios");
+const HttpFixtures = require("./httpFixtures");
+require("dotenv").config();
+
+const DEFAULT_USER_AGENT =
+  "NewsAIAssistantBot/1.0 (+https://github.com/Pratik228/news-ai-assistant)";
+
+// Cached robots.txt rules are refreshed after this long
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const FIXTURE_MODES = ["record", "replay"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parse robots.txt into the rules that apply to our user agent
+ */
+function parseRobotsTxt(text, userAgent) {
+  const agentToken = userAgent.split("/")[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay)) current.crawlDelay = delay * 1000;
+    }
+  });
+
+  const group =
+    groups.find((g) => g.agents.some((agent) => agentToken.includes(agent))) ||
+    groups.find((g) => g.agents.includes("*"));
+
+  return group
+    ? { rules: group.rules, crawlDelay: group.crawlDelay }
+    : { rules: [], crawlDelay: null };
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Apply the longest matching Allow/Disallow rule (Allow wins ties)
+ */
+function isPathAllowed(robots, pathWithQuery) {
+  let match = null;
+
+  robots.rules.forEach((rule) => {
+    if (!robotsPatternToRegex(rule.path).test(pathWithQuery)) return;
+
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  });
+
+  return !match || match.allow;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Integer environment variable, or `fallback` when unset or not a number
+ * (an explicit 0 is kept)
+ */
+function envInteger(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * HTTP fetcher for ingestion. Limits global concurrency, spaces out
+ * requests per host, honours robots.txt and retries 429/5xx responses
+ * with exponential backoff. With HTTP_FIXTURE_MODE=record every response
+ * is saved as a fixture; with =replay responses come only from fixtures,
+ * without delays or retries.
+ */
+class Crawler {
+  constructor(options = {}) {
+    this.userAgent =
+      options.userAgent || process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.concurrency =
+      options.concurrency || parseInt(process.env.CRAWLER_CONCURRENCY) || 4;
+    this.hostDelayMs =
+      options.hostDelayMs ?? envInteger("CRAWLER_HOST_DELAY_MS", 1000);
+    this.maxRetries =
+      options.maxRetries ?? envInteger("CRAWLER_MAX_RETRIES", 3);
+    this.respectRobots =
+      options.respectRobots ?? process.env.CRAWLER_RESPECT_ROBOTS !== "false";
+    this.timeout = options.timeout || 10000;
+
+    this.fixtureMode =
+      options.fixtureMode ?? (process.env.HTTP_FIXTURE_MODE || null);
+    if (this.fixtureMode && !FIXTURE_MODES.includes(this.fixtureMode)) {
+      throw new Error(
+        `HTTP_FIXTURE_MODE must be one of: ${FIXTURE_MODES.join(", ")}`
+      );
+    }
+    this.fixtures = this.fixtureMode
+      ? options.fixtures || new HttpFixtures(options.fixtureDir)
+      : null;
+
+    this.active = 0;
+    this.waiting = [];
+    this.hostSchedule = new Map();
+    this.robotsCache = new Map();
+  }
+
+  async acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Reserve the next request slot for a host and wait for it
+   */
+  async waitForHost(host, delayMs) {
+    const now = Date.now();
+    const nextAvailable = Math.max(this.hostSchedule.get(host) || 0, now);
+
+    this.hostSchedule.set(host, nextAvailable + delayMs);
+    if (nextAvailable > now) {
+      await sleep(nextAvailable - now);
+    }
+  }
+
+  /**
+   * Push back every request to a host, e.g. after a 429 with Retry-After
+   */
+  deferHost(host, delayMs) {
+    const resumeAt = Date.now() + delayMs;
+    if ((this.hostSchedule.get(host) || 0) < resumeAt) {
+      this.hostSchedule.set(host, resumeAt);
+    }
+  }
+
+  async getRobots(origin) {
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    const robots = this.requestRobots(origin);
+    this.robotsCache.set(origin, {
+      robots,
+      expiresAt: Date.now() + ROBOTS_TTL_MS,
+    });
+    return robots;
+  }
+
+  async requestRobots(origin) {
+    try {
+      const response = await this.request(`${origin}/robots.txt`, {
+        responseType: "text",
+        validateStatus: (status) => status < 500,
+      });
+
+      // A missing robots.txt (4xx) allows everything
+      return response.status >= 400
+        ? { rules: [], crawlDelay: null }
+        : parseRobotsTxt(String(response.data || ""), this.userAgent);
+    } catch (error) {
+      console.warn(`Could not fetch robots.txt for ${origin}:`, error.message);
+      return { rules: [], crawlDelay: null };
+    }
+  }
+
+  /**
+   * Single HTTP request under the concurrency and per-host limits
+   */
+  async request(url, options = {}, delayMs = this.hostDelayMs) {
+    if (this.fixtureMode === "replay") {
+      return this.replay(url, options);
+    }
+
+    await this.waitForHost(new URL(url).host, delayMs);
+    await this.acquireSlot();
+
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        ...options,
+        headers: { "User-Agent": this.userAgent, ...options.headers },
+      });
+
+      if (this.fixtureMode === "record") {
+        await this.fixtures.save(url, response);
+      }
+      return response;
+    } catch (error) {
+      // Error responses are recorded too so replays fail the same way
+      if (this.fixtureMode === "record" && error.response) {
+        await this.fixtures.save(url, error.response);
+      }
+      throw error;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Serve a recorded response without touching the network
+   */
+  async replay(url, options) {
+    const fixture = await this.fixtures.load(url);
+
+    if (!fixture) {
+      const error = new Error(`No HTTP fixture recorded for ${url}`);
+      error.code = "FIXTURE_MISSING";
+      throw error;
+    }
+
+    return this.fixtures.toResponse(fixture, options);
+  }
+
+  /**
+   * GET a URL politely. Accepts axios request options.
+   */
+  async fetch(url, options = {}) {
+    const parsed = new URL(url);
+    let crawlDelay = null;
+
+    if (this.respectRobots) {
+      const robots = await this.getRobots(parsed.origin);
+      if (!isPathAllowed(robots, `${parsed.pathname}${parsed.search}`)) {
+        const error = new Error(`Disallowed by robots.txt: ${url}`);
+        error.code = "ROBOTS_DISALLOWED";
+        throw error;
+      }
+      crawlDelay = robots.crawlDelay;
+    }
+
+    const delayMs = Math.max(this.hostDelayMs, crawlDelay || 0);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(url, options, delayMs);
+      } catch (error) {
+        const status = error.response && error.response.status;
+        const retryable =
+          RETRYABLE_STATUS.has(status) ||
+          (!error.response &&
+            !["ERR_CANCELED", "FIXTURE_MISSING"].includes(error.code));
+
+        // A replayed fixture answers the same way every time, so retrying
+        // would only sleep through the backoff
+        if (
+          !retryable ||
+          attempt >= this.maxRetries ||
+          this.fixtureMode === "replay"
+        ) {
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(
+          error.response && error.response.headers["retry-after"]
+        );
+        const backoff = Math.min(
+          retryAfter ?? 1000 * 2 ** attempt + Math.random() * 250,
+          MAX_RETRY_DELAY_MS
+        );
+
+        console.warn(
+          `↻ Retrying ${url} in ${Math.round(backoff)}ms (${
+            status || error.code
+          }, attempt ${attempt + 1}/${this.maxRetries})`
+        );
+
+        this.deferHost(parsed.host, backoff);
+      }
+    }
+  }
+}
+
+let sharedCrawler;
+
+/**
+ * The process-wide crawler. Shared so concurrency, per-host spacing and
+ * robots.txt apply across ingestion, uploads and feed discovery.
+ */
+function getSharedCrawler() {
+  if (!sharedCrawler) {
+    sharedCrawler = new Crawler();
+  }
+  return sharedCrawler;
+}
+
+Crawler.getSharedCrawler = getSharedCrawler;
+Crawler.parseRobotsTxt = parseRobotsTxt;
+Crawler.isPathAllowed = isPathAllowed;
+Crawler.parseRetryAfter = parseRetryAfter;
+
+module.exports = Crawler;
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+
+// Fingerprints within this many differing bits are the same story
+const DEFAULT_MAX_DISTANCE = 6;
+const SHINGLE_SIZE = 3;
+// Texts shorter than this are too thin to fingerprint reliably
+const MIN_TOKENS = 20;
+
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * 64-bit SimHash over word shingles, returned as 16 hex characters
+ */
+function simhash(text) {
+  const tokens = tokenize(text);
+  const features = [];
+
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    features.push(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  if (features.length === 0) {
+    features.push(...tokens);
+  }
+
+  const weights = new Array(64).fill(0);
+
+  features.forEach((feature) => {
+    const hash = BigInt(
+      "0x" +
+        crypto.createHash("md5").update(feature).digest("hex").substring(0, 16)
+    );
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  });
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) {
+      fingerprint |= 1n << BigInt(bit);
+    }
+  }
+
+  return fingerprint.toString(16).padStart(16, "0");
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let count = 0;
+
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+}
+
+function fingerprintText(article) {
+  const text = [article.title, article.description, article.content]
+    .filter(Boolean)
+    .join(" ");
+
+  return tokenize(text).length >= MIN_TOKENS ? simhash(text) : null;
+}
+
+/**
+ * Assign each article a `clusterId`. Articles whose SimHash is close to an
+ * already-ingested article (from the ledger) or to an earlier article in
+ * the same batch join that story's cluster; otherwise they start their own
+ * cluster keyed by their article ID.
+ */
+function assignStoryClusters(
+  articles,
+  ledger,
+  idForUrl,
+  { maxDistance = DEFAULT_MAX_DISTANCE } = {}
+) {
+  const known = ledger ? ledger.getFingerprints() : [];
+  let duplicates = 0;
+
+  articles.forEach((article) => {
+    const fingerprint = fingerprintText(article);
+    const articleId = idForUrl(article.url);
+    let clusterId = articleId;
+
+    if (fingerprint) {
+      let bestDistance = maxDistance + 1;
+
+      known.forEach((entry) => {
+        if (entry.url === article.url) return;
+
+        const distance = hammingDistance(fingerprint, entry.simhash);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          clusterId = entry.clusterId;
+        }
+      });
+
+      if (clusterId !== articleId) {
+        duplicates++;
+      }
+
+      known.push({ url: article.url, simhash: fingerprint, clusterId });
+    }
+
+    article.clusterId = clusterId;
+
+    if (ledger) {
+      ledger.setArticleFingerprint(article.url, {
+        simhash: fingerprint,
+        clusterId,
+      });
+    }
+  });
+
+  console.log(
+    `🧬 Clustered ${articles.length} articles, ${duplicates} near-duplicates of known stories`
+  );
+
+  return { duplicates };
+}
+
+module.exports = {
+  simhash,
+  hammingDistance,
+  assignStoryClusters,
+  DEFAULT_MAX_DISTANCE,
+};
@@ -0,0 +1,311 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { createVectorStore } = require("./vectorStores");
+const { extractContent } = require("./contentExtractor");
+const { extractMetadata } = require("./metadataExtractor");
+const { detectLanguage, normalizeLanguage } = require("./languageDetector");
+const { normalizeDate, canonicalizeUrl } = require("./normalize");
+const { extractArticleContent } = require("./newsIngestion");
+require("dotenv").config();
+
+const SOURCE_TYPE = "upload";
+const DEFAULT_SOURCE = "Uploaded document";
+const DEFAULT_CATEGORY = "uploads";
+
+// Content formats by file extension and MIME type
+const FORMATS_BY_EXTENSION = {
+  ".html": "html",
+  ".htm": "html",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "text",
+  ".text": "text",
+};
+const FORMATS_BY_MIME_TYPE = {
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/plain": "text",
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION);
+
+function detectFormat(fileName, mimeType) {
+  const extension = path.extname(fileName || "").toLowerCase();
+  const baseMimeType = (mimeType || "").split(";")[0].trim().toLowerCase();
+
+  return (
+    FORMATS_BY_EXTENSION[extension] ||
+    FORMATS_BY_MIME_TYPE[baseMimeType] ||
+    null
+  );
+}
+
+/**
+ * Convert Markdown to plain text, keeping paragraph breaks
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/\r\n/g, "\n")
+    .replace(/^```.*$/gm, "")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, "")
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, "")
+    .replace(/^[ \t]*[-*+][ \t]+/gm, "- ")
+    .replace(/(\*\*|__)(.*?)\1/g, "$2")
+    .replace(/(^|\W)(\*|_)(\S(?:.*?\S)?)\2(?=\W|$)/gm, "$1$3")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function firstLine(text) {
+  const line = (text || "").split("\n").find((entry) => entry.trim());
+  return line ? line.trim().substring(0, 200) : "";
+}
+
+function summarize(text) {
+  const summary = (text || "").replace(/\s+/g, " ").trim();
+  return summary.length > 300 ? `${summary.substring(0, 297)}...` : summary;
+}
+
+/**
+ * Stable URL for an uploaded file, so re-uploading the same file replaces
+ * the stored copy instead of adding another
+ */
+function uploadUrl(fileName, buffer) {
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  return `upload://${hash.substring(0, 16)}/${encodeURIComponent(
+    fileName || "document"
+  )}`;
+}
+
+/**
+ * Ingests analyst-supplied documents (HTML, Markdown or plain-text files, or
+ * URLs) through the same extraction, embedding and storage path as feeds.
+ * Every item is stored with sourceType "upload".
+ */
+class DocumentUploads {
+  constructor() {
+    this.embeddings = createEmbeddingProvider();
+    this.vectorStore = createVectorStore({
+      vectorSize: this.embeddings.dimension,
+      embeddingModel: this.embeddings.model,
+    });
+  }
+
+  /**
+   * Build an article from an uploaded file ({ originalname, mimetype, buffer })
+   */
+  documentFromFile(file, options = {}) {
+    const format = detectFormat(file.originalname, file.mimetype);
+    if (!format) {
+      throw new Error(
+        `Unsupported file type: ${
+          file.originalname
+        } (supported: ${SUPPORTED_EXTENSIONS.join(", ")})`
+      );
+    }
+
+    const raw = file.buffer.toString("utf8");
+    const url = uploadUrl(file.originalname, file.buffer);
+    let content;
+    let metadata = {};
+    let title;
+
+    if (format === "html") {
+      content = extractContent(raw, url).content;
+      metadata = extractMetadata(raw, url);
+      title = metadata.title;
+    } else if (format === "markdown") {
+      const heading = raw.match(/^[ \t]{0,3}#[ \t]+(.+)$/m);
+      content = markdownToText(raw);
+      title = heading && heading[1].trim();
+    } else {
+      content = raw.replace(/\r\n/g, "\n").trim();
+    }
+
+    return this.buildArticle({
+      url,
+      title: options.title || title || firstLine(content) || file.originalname,
+      content,
+      metadata,
+      fileName: file.originalname,
+      options,
+    });
+  }
+
+  /**
+   * Build an article by fetching a URL through the crawler
+   */
+  async documentFromUrl(url, options = {}) {
+    const extraction = await extractArticleContent(canonicalizeUrl(url));
+
+    if (!extraction.content) {
+      throw new Error(`Could not extract any text from ${url}`);
+    }
+
+    const metadata = extraction.metadata || {};
+
+    return this.buildArticle({
+      url: extraction.canonicalUrl || canonicalizeUrl(url),
+      title: options.title || metadata.title || firstLine(extraction.content),
+      content: extraction.content,
+      metadata,
+      extraction,
+      options,
+    });
+  }
+
+  buildArticle({
+    url,
+    title,
+    content,
+    metadata,
+    fileName,
+    extraction,
+    options,
+  }) {
+    if (!content || content.trim().length === 0) {
+      throw new Error(`Document has no text: ${fileName || url}`);
+    }
+
+    const description = options.description || metadata.description || "";
+
+    return {
+      title,
+      url,
+      ...normalizeDate(options.publishedAt || metadata.publishedAt),
+      source: options.source || DEFAULT_SOURCE,
+      description: description || summarize(content),
+      content,
+      category: options.category || DEFAULT_CATEGORY,
+      sourceType: SOURCE_TYPE,
+      fileName: fileName || null,
+      extractionScore: extraction ? extraction.extractionScore : undefined,
+      lowQualityExtraction: extraction
+        ? extraction.lowQualityExtraction
+        : undefined,
+      author: options.author || metadata.author || null,
+      imageUrl: metadata.imageUrl || null,
+      keywords: metadata.keywords || [],
+      section: metadata.section || null,
+      language:
+        normalizeLanguage(metadata.language) ||
+        detectLanguage(`${title}\n${content}`),
+    };
+  }
+
+  /**
+   * Extract, embed and store uploaded files and URLs. Items that fail are
+   * reported individually; the rest are still stored.
+   */
+  async ingest({ files = [], urls = [] }, options = {}) {
+    try {
+      console.log(
+        `📤 Ingesting ${files.length} uploaded files and ${urls.length} URLs...`
+      );
+
+      const articles = [];
+      const failed = [];
+
+      // A title override only makes sense for a single item
+      const itemOptions =
+        files.length + urls.length === 1
+          ? options
+          : { ...options, title: undefined };
+
+      files.forEach((file) => {
+        try {
+          articles.push(this.documentFromFile(file, itemOptions));
+        } catch (error) {
+          failed.push({ item: file.originalname, error: error.message });
+        }
+      });
+
+      for (const url of urls) {
+        try {
+          articles.push(await this.documentFromUrl(url, itemOptions));
+        } catch (error) {
+          failed.push({ item: url, error: error.message });
+        }
+      }
+
+      if (articles.length === 0) {
+        return { stored: [], failed };
+      }
+
+      const { articles: articlesWithEmbeddings, failed: embedFailed } =
+        await this.embeddings.embedArticles(articles);
+      await this.vectorStore.addArticles(articlesWithEmbeddings);
+
+      embedFailed.forEach(({ article, error }) =>
+        failed.push({ item: article.fileName || article.url, error })
+      );
+
+      console.log(
+        `✅ Stored ${articlesWithEmbeddings.length} uploaded documents`
+      );
+
+      return {
+        stored: articlesWithEmbeddings.map((article) => ({
+          id: this.vectorStore.generateId(article.url),
+          title: article.title,
+          url: article.url,
+          fileName: article.fileName,
+          language: article.language,
+          characters: article.content.length,
+        })),
+        failed,
+      };
+    } catch (error) {
+      console.error("Error ingesting uploads:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List uploaded documents, newest first
+   */
+  async list() {
+    const articles = await this.vectorStore.scrollArticles(
+      [
+        "title",
+        "url",
+        "source",
+        "category",
+        "fileName",
+        "publishedAt",
+        "indexedAt",
+        "language",
+      ],
+      { must: [{ key: "sourceType", match: { value: SOURCE_TYPE } }] }
+    );
+
+    return articles
+      .map(({ articleId, ...article }) => ({ id: articleId, ...article }))
+      .sort((a, b) => (b.indexedAt || "").localeCompare(a.indexedAt || ""));
+  }
+
+  /**
+   * Delete an uploaded document. Returns false if no upload has that ID.
+   */
+  async delete(articleId) {
+    const article = await this.vectorStore.getArticle(articleId);
+
+    if (!article || article.sourceType !== SOURCE_TYPE) {
+      return false;
+    }
+
+    await this.vectorStore.deleteArticles([articleId]);
+    return true;
+  }
+}
+
+DocumentUploads.SUPPORTED_EXTENSIONS = SUPPORTED_EXTENSIONS;
+
+module.exports = DocumentUploads;
@@ -0,0 +1,425 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const Redis = require("ioredis");
+const EmbeddingProvider = require("./embeddingProvider");
+require("dotenv").config();
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, "../../data/embedding_cache");
+const DEFAULT_MAX_ENTRIES = 50000;
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+// Automatic eviction runs at most this often
+const EVICTION_INTERVAL_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache key for a text under a model: whitespace and Unicode differences
+ * that do not change the text produce the same key
+ */
+function cacheKey(model, text) {
+  const normalized = String(text).normalize("NFKC").replace(/\s+/g, " ").trim();
+  return crypto
+    .createHash("sha256")
+    .update(`${model}\u0000${normalized}`)
+    .digest("hex");
+}
+
+// Vectors are stored as float32, a quarter of the size of JSON numbers
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+// Redis replies are slices of a shared buffer at any offset; Float32Array
+// needs a 4-byte aligned start, so copy the bytes out first
+function decodeVector(buffer) {
+  const floats = new Float32Array(
+    buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    )
+  );
+  return Array.from(floats);
+}
+
+/**
+ * One file per vector under data/embedding_cache. A file's mtime is its
+ * last use, so eviction by size drops the least recently used entries.
+ */
+class DiskCacheStore {
+  constructor(dir = process.env.EMBEDDING_CACHE_DIR || DEFAULT_CACHE_DIR) {
+    this.type = "disk";
+    this.dir = dir;
+  }
+
+  pathFor(key) {
+    return path.join(this.dir, key.substring(0, 2), `${key}.f32`);
+  }
+
+  async getMany(keys) {
+    return Promise.all(
+      keys.map(async (key) => {
+        try {
+          const filePath = this.pathFor(key);
+          const buffer = await fs.readFile(filePath);
+          const now = new Date();
+          await fs.utimes(filePath, now, now).catch(() => {});
+          return decodeVector(buffer);
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+          return null;
+        }
+      })
+    );
+  }
+
+  async setMany(entries) {
+    for (const { key, vector } of entries) {
+      const filePath = this.pathFor(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, encodeVector(vector));
+    }
+  }
+
+  async listEntries() {
+    const entries = [];
+    let shards = [];
+
+    try {
+      shards = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return entries;
+      throw error;
+    }
+
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      for (const file of await fs.readdir(shardDir)) {
+        const filePath = path.join(shardDir, file);
+        const stats = await fs.stat(filePath);
+        entries.push({ filePath, usedAt: stats.mtimeMs, size: stats.size });
+      }
+    }
+
+    return entries;
+  }
+
+  async size() {
+    const entries = await this.listEntries();
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    };
+  }
+
+  async evict({ maxEntries, maxAgeMs }) {
+    const entries = await this.listEntries();
+    const cutoff = Date.now() - maxAgeMs;
+
+    const expired = entries.filter((entry) => entry.usedAt < cutoff);
+    const remaining = entries
+      .filter((entry) => entry.usedAt >= cutoff)
+      .sort((a, b) => b.usedAt - a.usedAt);
+    const overflow = remaining.slice(maxEntries);
+
+    const removed = [...expired, ...overflow];
+    for (const entry of removed) {
+      await fs.unlink(entry.filePath).catch(() => {});
+    }
+
+    return removed.length;
+  }
+}
+
+/**
+ * Vectors in Redis under `embedding:<key>`, with a sorted set of last-use
+ * times for eviction by size. Entries also expire after the maximum age.
+ */
+class RedisCacheStore {
+  constructor({ maxAgeMs }) {
+    this.type = "redis";
+    this.redis = new Redis(process.env.REDIS_URL, {
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      lazyConnect: true,
+    });
+    this.prefix = "embedding:";
+    this.indexKey = "embedding_cache:index";
+    this.ttlSeconds = Math.ceil(maxAgeMs / 1000);
+  }
+
+  async getMany(keys) {
+    const buffers = await this.redis.mgetBuffer(
+      keys.map((key) => `${this.prefix}${key}`)
+    );
+
+    const hits = keys.filter((key, index) => buffers[index]);
+    if (hits.length > 0) {
+      const now = Date.now();
+      const pipeline = this.redis.pipeline();
+      hits.forEach((key) => {
+        pipeline.zadd(this.indexKey, now, key);
+        pipeline.expire(`${this.prefix}${key}`, this.ttlSeconds);
+      });
+      await pipeline.exec();
+    }
+
+    return buffers.map((buffer) => (buffer ? decodeVector(buffer) : null));
+  }
+
+  async setMany(entries) {
+    const now = Date.now();
+    const pipeline = this.redis.pipeline();
+
+    entries.forEach(({ key, vector }) => {
+      pipeline.set(
+        `${this.prefix}${key}`,
+        encodeVector(vector),
+        "EX",
+        this.ttlSeconds
+      );
+      pipeline.zadd(this.indexKey, now, key);
+    });
+
+    await pipeline.exec();
+  }
+
+  async size() {
+    return { entries: await this.redis.zcard(this.indexKey), bytes: null };
+  }
+
+  async evict({ maxEntries, maxAgeMs }) {
+    // Vectors expire on their own; drop their index entries too
+    const expired = await this.redis.zrangebyscore(
+      this.indexKey,
+      "-inf",
+      Date.now() - maxAgeMs
+    );
+
+    const count = await this.redis.zcard(this.indexKey);
+    const overflowCount = Math.max(count - expired.length - maxEntries, 0);
+    const overflow =
+      overflowCount > 0
+        ? await this.redis.zrange(
+            this.indexKey,
+            expired.length,
+            expired.length + overflowCount - 1
+          )
+        : [];
+
+    const removed = [...expired, ...overflow];
+    if (removed.length > 0) {
+      await this.redis.del(...removed.map((key) => `${this.prefix}${key}`));
+      await this.redis.zrem(this.indexKey, ...removed);
+    }
+
+    return removed.length;
+  }
+}
+
+/**
+ * Persistent cache of embeddings keyed by model and normalized-text hash.
+ * Cache failures are logged and treated as misses, never as errors.
+ */
+class EmbeddingCache {
+  constructor(options = {}) {
+    this.maxEntries =
+      options.maxEntries ||
+      parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) ||
+      DEFAULT_MAX_ENTRIES;
+    this.maxAgeMs =
+      (options.maxAgeDays ||
+        parseFloat(process.env.EMBEDDING_CACHE_MAX_AGE_DAYS) ||
+        DEFAULT_MAX_AGE_DAYS) * DAY_MS;
+
+    const type = options.type || process.env.EMBEDDING_CACHE || "disk";
+    if (type === "redis") {
+      this.store = new RedisCacheStore({ maxAgeMs: this.maxAgeMs });
+    } else if (type === "disk") {
+      this.store = new DiskCacheStore(options.dir);
+    } else {
+      throw new Error(`EMBEDDING_CACHE must be "disk", "redis" or "off"`);
+    }
+
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+    this.evicted = 0;
+    this.lastEvictionAt = 0;
+  }
+
+  /**
+   * Look up texts for a model. Returns one vector or null per text.
+   */
+  async getMany(model, texts) {
+    let vectors;
+    try {
+      vectors = await this.store.getMany(
+        texts.map((text) => cacheKey(model, text))
+      );
+    } catch (error) {
+      console.warn("Embedding cache read failed:", error.message);
+      vectors = texts.map(() => null);
+    }
+
+    const hits = vectors.filter(Boolean).length;
+    this.hits += hits;
+    this.misses += texts.length - hits;
+    return vectors;
+  }
+
+  async setMany(model, texts, vectors) {
+    try {
+      await this.store.setMany(
+        texts.map((text, index) => ({
+          key: cacheKey(model, text),
+          vector: vectors[index],
+        }))
+      );
+      this.writes += texts.length;
+    } catch (error) {
+      console.warn("Embedding cache write failed:", error.message);
+      return;
+    }
+
+    if (Date.now() - this.lastEvictionAt > EVICTION_INTERVAL_MS) {
+      this.lastEvictionAt = Date.now();
+      this.evict().catch((error) =>
+        console.warn("Embedding cache eviction failed:", error.message)
+      );
+    }
+  }
+
+  /**
+   * Remove entries unused for longer than the maximum age, then the least
+   * recently used ones beyond the maximum entry count
+   */
+  async evict({ maxEntries = this.maxEntries, maxAgeMs = this.maxAgeMs } = {}) {
+    const removed = await this.store.evict({ maxEntries, maxAgeMs });
+    this.evicted += removed;
+
+    if (removed > 0) {
+      console.log(`🧹 Evicted ${removed} embedding cache entries`);
+    }
+    return removed;
+  }
+
+  async getStats() {
+    const lookups = this.hits + this.misses;
+    let size = null;
+
+    try {
+      size = await this.store.size();
+    } catch (error) {
+      console.warn("Could not read embedding cache size:", error.message);
+    }
+
+    return {
+      type: this.store.type,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate:
+        lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+      writes: this.writes,
+      evicted: this.evicted,
+      entries: size ? size.entries : null,
+      bytes: size ? size.bytes : null,
+      maxEntries: this.maxEntries,
+      maxAgeDays: this.maxAgeMs / DAY_MS,
+    };
+  }
+}
+
+/**
+ * Wraps a provider so only texts missing from the cache reach it. Used for
+ * both chat queries and ingestion, so unchanged articles and repeated
+ * questions are not re-embedded.
+ */
+class CachedEmbeddingProvider extends EmbeddingProvider {
+  constructor(provider, cache) {
+    super({
+      name: provider.name,
+      model: provider.model,
+      dimension: provider.dimension,
+      similarityThreshold: provider.similarityThreshold,
+      maxBatchSize: provider.maxBatchSize,
+      maxBatchTokens: provider.maxBatchTokens,
+    });
+    this.provider = provider;
+    this.cache = cache;
+    // Lookups by this instance; the cache counts across all of them
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async embedTexts(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error("Texts array cannot be empty");
+    }
+
+    const embeddings = await this.cache.getMany(this.model, texts);
+    const hits = embeddings.filter(Boolean).length;
+    this.hits += hits;
+    this.misses += texts.length - hits;
+
+    // Embed each distinct missing text once
+    const missing = [
+      ...new Set(texts.filter((text, index) => !embeddings[index])),
+    ];
+    if (missing.length === 0) {
+      return { embeddings, model: this.model, usage: { total_tokens: 0 } };
+    }
+
+    const result = await this.provider.embedTexts(missing);
+    if (result.embeddings.length !== missing.length) {
+      throw new Error(
+        `Expected ${missing.length} embeddings from ${this.name}, got ${result.embeddings.length}`
+      );
+    }
+
+    // Empty texts come back without an embedding and are not cached
+    const embedded = missing.filter((text, index) => result.embeddings[index]);
+    if (embedded.length > 0) {
+      await this.cache.setMany(
+        this.model,
+        embedded,
+        result.embeddings.filter(Boolean)
+      );
+    }
+
+    const byText = new Map(
+      missing.map((text, index) => [text, result.embeddings[index]])
+    );
+    return {
+      embeddings: texts.map(
+        (text, index) => embeddings[index] || byText.get(text) || null
+      ),
+      model: result.model || this.model,
+      usage: result.usage,
+    };
+  }
+}
+
+let sharedCache;
+
+/**
+ * The process-wide cache configured by EMBEDDING_CACHE, or null when it is
+ * "off". Shared so hit/miss counts cover chat and ingestion together.
+ */
+function getEmbeddingCache() {
+  if (sharedCache === undefined) {
+    sharedCache =
+      process.env.EMBEDDING_CACHE === "off" ? null : new EmbeddingCache();
+  }
+  return sharedCache;
+}
+
+module.exports = {
+  EmbeddingCache,
+  CachedEmbeddingProvider,
+  getEmbeddingCache,
+  cacheKey,
+  encodeVector,
+  decodeVector,
+};
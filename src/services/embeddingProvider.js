@@ -0,0 +1,265 @@
+const { chunkArticle } = require("./chunker");
+
+// Default request limits: texts and estimated tokens per batch
+const EMBEDDING_BATCH_SIZE = 64;
+const EMBEDDING_BATCH_TOKENS = 8000;
+
+// Client errors caused by the input itself; retrying a smaller batch can
+// isolate the offending text. Anything else fails the whole batch.
+const INPUT_ERROR_STATUS = new Set([400, 413, 422]);
+
+/**
+ * Rough token count: about four characters per token for English prose,
+ * with a floor of one token per word for short-word text
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+
+  const words = (text.match(/\S+/g) || []).length;
+  return Math.max(Math.ceil(text.length / 4), words);
+}
+
+/**
+ * Group text indexes into batches under both the size and token budget. A
+ * text over the token budget is sent on its own.
+ */
+function createBatches(
+  texts,
+  {
+    maxBatchSize = EMBEDDING_BATCH_SIZE,
+    maxBatchTokens = EMBEDDING_BATCH_TOKENS,
+  } = {}
+) {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  texts.forEach((text, index) => {
+    const tokens = estimateTokens(text);
+
+    if (
+      batch.length > 0 &&
+      (batch.length >= maxBatchSize || batchTokens + tokens > maxBatchTokens)
+    ) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+
+    batch.push(index);
+    batchTokens += tokens;
+  });
+
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Base class for embedding providers. Subclasses implement `embedTexts`
+ * and set `model` (a stable model ID stored with every vector) and
+ * `dimension`; everything else is shared.
+ */
+class EmbeddingProvider {
+  constructor({
+    name,
+    model,
+    dimension,
+    similarityThreshold = 0.6,
+    maxBatchSize = EMBEDDING_BATCH_SIZE,
+    maxBatchTokens = EMBEDDING_BATCH_TOKENS,
+  }) {
+    this.name = name;
+    this.model = model;
+    this.dimension = dimension;
+    // Minimum cosine similarity for a chunk to count as relevant
+    this.similarityThreshold = similarityThreshold;
+    this.maxBatchSize = maxBatchSize;
+    this.maxBatchTokens = maxBatchTokens;
+    // Whether vectors are worth keeping in the embedding cache
+    this.cacheable = true;
+  }
+
+  /**
+   * Embed a list of texts. Resolves with { embeddings, model, usage }, one
+   * embedding per text in the same order; empty texts get null.
+   */
+  async embedTexts(texts) {
+    throw new Error(`${this.constructor.name} must implement embedTexts()`);
+  }
+
+  /**
+   * Embed a single text. Resolves with { embedding, model, usage }.
+   */
+  async embedText(text) {
+    if (!text || text.trim().length === 0) {
+      throw new Error("Text cannot be empty");
+    }
+
+    const result = await this.embedTexts([text]);
+    if (!result.embeddings[0]) {
+      throw new Error(`No embedding returned by ${this.name}`);
+    }
+
+    return {
+      embedding: result.embeddings[0],
+      model: result.model,
+      usage: result.usage,
+    };
+  }
+
+  /**
+   * Embed texts in token-budgeted batches. Never rejects for a bad batch:
+   * texts whose batch failed get a null embedding and an entry in `errors`
+   * (index → message). Authentication and configuration errors still throw.
+   */
+  async embedInBatches(texts) {
+    const embeddings = new Array(texts.length).fill(null);
+    const errors = new Map();
+    const usage = { total_tokens: 0 };
+    let model = this.model;
+
+    const embedBatch = async (indexes) => {
+      try {
+        const result = await this.embedTexts(
+          indexes.map((index) => texts[index])
+        );
+
+        indexes.forEach((index, position) => {
+          embeddings[index] = result.embeddings[position] || null;
+          if (!embeddings[index]) errors.set(index, "No embedding returned");
+        });
+        model = result.model || model;
+        usage.total_tokens += (result.usage && result.usage.total_tokens) || 0;
+      } catch (error) {
+        if (error.fatal) throw error;
+
+        const status = error.response && error.response.status;
+        if ([401, 403].includes(status)) throw error;
+
+        // Split the batch to isolate the text the provider rejects
+        if (INPUT_ERROR_STATUS.has(status) && indexes.length > 1) {
+          const middle = Math.ceil(indexes.length / 2);
+          await embedBatch(indexes.slice(0, middle));
+          await embedBatch(indexes.slice(middle));
+          return;
+        }
+
+        indexes.forEach((index) => errors.set(index, error.message));
+      }
+    };
+
+    for (const batch of createBatches(texts, this)) {
+      await embedBatch(batch);
+    }
+
+    return { embeddings, errors, model, usage };
+  }
+
+  /**
+   * Split articles into chunks and embed each chunk. Resolves with
+   * `{ articles, failed }`: embedded articles with a `chunks` array of
+   * { index, text, embedding }, and { article, error } for each article
+   * that could not be fully embedded.
+   */
+  async embedArticles(articles) {
+    try {
+      const chunkedArticles = articles.map((article) => ({
+        article,
+        chunks: chunkArticle(article),
+      }));
+
+      // Prefix each chunk with its headline so passages keep their topic
+      const texts = chunkedArticles.flatMap(({ article, chunks }) =>
+        chunks.map((chunk) =>
+          [article.title, chunk]
+            .filter((text) => text && text.trim().length > 0)
+            .join("\n\n")
+        )
+      );
+
+      console.log(
+        `🔄 Generating ${this.name} embeddings for ${articles.length} articles (${texts.length} chunks)...`
+      );
+
+      const { embeddings, errors, model, usage } = await this.embedInBatches(
+        texts
+      );
+
+      // Match embeddings back to articles by position
+      const embedded = [];
+      const failed = [];
+      let offset = 0;
+
+      chunkedArticles.forEach(({ article, chunks }) => {
+        const start = offset;
+        offset += chunks.length;
+
+        const chunkError = chunks
+          .map((chunk, index) => errors.get(start + index))
+          .find(Boolean);
+
+        if (chunks.length === 0 || chunkError) {
+          failed.push({
+            article,
+            error: chunkError || "Article has no text to embed",
+          });
+          return;
+        }
+
+        embedded.push({
+          ...article,
+          chunks: chunks.map((text, index) => ({
+            index,
+            text,
+            embedding: embeddings[start + index],
+          })),
+          embeddingModel: model,
+        });
+      });
+
+      console.log(`✅ Generated embeddings for ${embedded.length} articles`);
+      if (failed.length > 0) {
+        console.warn(`⚠️ Failed to embed ${failed.length} articles`);
+        failed.forEach(({ article, error }) =>
+          console.warn(`   ${article.url}: ${error}`)
+        );
+      }
+      console.log(`📊 Token usage: ${JSON.stringify(usage)}`);
+
+      return { articles: embedded, failed };
+    } catch (error) {
+      console.error("Error embedding articles:", error.message);
+      throw error;
+    }
+  }
+
+  static cosineSimilarity(embedding1, embedding2) {
+    if (embedding1.length !== embedding2.length) {
+      throw new Error("Embeddings must have the same length");
+    }
+
+    let dotProduct = 0;
+    let norm1 = 0;
+    let norm2 = 0;
+
+    for (let i = 0; i < embedding1.length; i++) {
+      dotProduct += embedding1[i] * embedding2[i];
+      norm1 += embedding1[i] * embedding1[i];
+      norm2 += embedding2[i] * embedding2[i];
+    }
+
+    norm1 = Math.sqrt(norm1);
+    norm2 = Math.sqrt(norm2);
+
+    if (norm1 === 0 || norm2 === 0) {
+      return 0;
+    }
+
+    return dotProduct / (norm1 * norm2);
+  }
+}
+
+EmbeddingProvider.estimateTokens = estimateTokens;
+EmbeddingProvider.createBatches = createBatches;
+
+module.exports = EmbeddingProvider;
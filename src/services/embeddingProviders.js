@@ -0,0 +1,53 @@
+const JinaEmbeddings = require("./embeddings");
+const LocalEmbeddings = require("./localEmbeddings");
+const {
+  CachedEmbeddingProvider,
+  getEmbeddingCache,
+} = require("./embeddingCache");
+require("dotenv").config();
+
+const PROVIDERS = {
+  jina: () =>
+    new JinaEmbeddings(process.env.JINA_API_KEY, {
+      model: process.env.JINA_EMBEDDING_MODEL || undefined,
+      dimension: parseInt(process.env.JINA_EMBEDDING_DIMENSION) || undefined,
+      maxBatchTokens: parseInt(process.env.EMBEDDING_BATCH_TOKENS) || undefined,
+      maxRetries: process.env.EMBEDDING_MAX_RETRIES
+        ? parseInt(process.env.EMBEDDING_MAX_RETRIES)
+        : undefined,
+    }),
+  local: () =>
+    new LocalEmbeddings({
+      dimension: parseInt(process.env.LOCAL_EMBEDDING_DIMENSION) || undefined,
+    }),
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Create the embedding provider named by EMBEDDING_PROVIDER (default "jina"),
+ * behind the shared embedding cache unless the provider opts out or
+ * EMBEDDING_CACHE is "off"
+ */
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+  const providerName = (name || "jina").toLowerCase();
+  const factory = PROVIDERS[providerName];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}" (expected one of: ${PROVIDER_NAMES.join(
+        ", "
+      )})`
+    );
+  }
+
+  const provider = factory();
+  const cache = provider.cacheable ? getEmbeddingCache() : null;
+
+  return cache ? new CachedEmbeddingProvider(provider, cache) : provider;
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  PROVIDER_NAMES,
+};
@@ -1,103 +1,86 @@
 const axios = require("axios");
-
-class JinaEmbeddings {
-  constructor(apiKey) {
+const EmbeddingProvider = require("./embeddingProvider");
+const Crawler = require("./crawler");
+
+const DEFAULT_MODEL = "jina-embeddings-v2-base-en";
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Embeddings from the hosted Jina AI API
+ */
+class JinaEmbeddings extends EmbeddingProvider {
+  constructor(
+    apiKey,
+    {
+      model = DEFAULT_MODEL,
+      dimension = 768,
+      maxBatchTokens,
+      maxRetries = 4,
+      timeoutMs = 60000,
+    } = {}
+  ) {
+    super({
+      name: "jina",
+      model,
+      dimension,
+      similarityThreshold: 0.6,
+      maxBatchTokens,
+    });
     this.apiKey = apiKey;
     this.baseURL = "https://api.jina.ai/v1/embeddings";
+    this.maxRetries = maxRetries;
+    this.timeoutMs = timeoutMs;
   }
-  async embedText(text, model = "jina-embeddings-v2-base-en") {
-    try {
-      if (!this.apiKey) {
-        throw new Error("Jina API key is required");
-      }
-
-      if (!text || text.trim().length === 0) {
-        throw new Error("Text cannot be empty");
-      }
-
-      const response = await axios.post(
-        this.baseURL,
-        {
-          input: [text],
-          model: model,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 30000,
-        }
-      );
-
-      if (
-        response.data &&
-        response.data.data &&
-        response.data.data.length > 0
-      ) {
-        return {
-          embedding: response.data.data[0].embedding,
-          model: response.data.model,
-          usage: response.data.usage,
-        };
-      }
-
-      throw new Error("Invalid response from Jina API");
-    } catch (error) {
-      console.error("Error generating embeddings:", error.message);
 
-      if (error.response) {
-        console.error(
-          "API Response:",
-          error.response.status,
-          error.response.data
-        );
-      }
-
-      throw error;
-    }
-  }
-
-  async embedTexts(texts, model = "jina-embeddings-v2-base-en") {
+  /**
+   * Embed texts in one request, retrying rate limits, server errors and
+   * network failures. Empty texts are not sent and get a null embedding.
+   */
+  async embedTexts(texts, model = this.model) {
     try {
       if (!this.apiKey) {
-        throw new Error("Jina API key is required");
+        const error = new Error("Jina API key is required");
+        error.fatal = true;
+        throw error;
       }
 
       if (!Array.isArray(texts) || texts.length === 0) {
         throw new Error("Texts array cannot be empty");
       }
 
-      const validTexts = texts.filter((text) => text && text.trim().length > 0);
+      const indexes = texts
+        .map((text, index) => (text && text.trim().length > 0 ? index : -1))
+        .filter((index) => index !== -1);
+      const embeddings = texts.map(() => null);
 
-      if (validTexts.length === 0) {
-        throw new Error("No valid texts to embed");
+      if (indexes.length === 0) {
+        return { embeddings, model, usage: { total_tokens: 0 } };
       }
 
-      const response = await axios.post(
-        this.baseURL,
-        {
-          input: validTexts,
-          model: model,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 30000,
-        }
-      );
-
-      if (response.data && response.data.data) {
-        return {
-          embeddings: response.data.data.map((item) => item.embedding),
-          model: response.data.model,
-          usage: response.data.usage,
-        };
+      const response = await this.post({
+        input: indexes.map((index) => texts[index]),
+        model: model,
+      });
+
+      if (!response.data || !Array.isArray(response.data.data)) {
+        throw new Error("Invalid response from Jina API");
       }
 
-      throw new Error("Invalid response from Jina API");
+      // Results carry their input position; don't rely on response order
+      response.data.data.forEach((item, position) => {
+        const inputIndex = item.index !== undefined ? item.index : position;
+        embeddings[indexes[inputIndex]] = item.embedding;
+      });
+
+      return {
+        embeddings,
+        model: response.data.model,
+        usage: response.data.usage,
+      };
     } catch (error) {
       console.error("Error generating embeddings for texts:", error.message);
 
@@ -113,70 +96,42 @@ class JinaEmbeddings {
     }
   }
 
-  async embedArticles(articles) {
-    try {
-      console.log(
-        `🔄 Generating embeddings for ${articles.length} articles...`
-      );
-
-      const texts = articles.map((article) => {
-        // Combine title, description, and content for better embeddings
-        const combinedText = [
-          article.title,
-          article.description,
-          article.content,
-        ]
-          .filter((text) => text && text.trim().length > 0)
-          .join(" ")
-          .trim();
-
-        return combinedText.substring(0, 8000);
-      });
-
-      const result = await this.embedTexts(texts);
-
-      // Combine articles with their embeddings
-      const articlesWithEmbeddings = articles.map((article, index) => ({
-        ...article,
-        embedding: result.embeddings[index],
-        embeddingModel: result.model,
-      }));
-
-      console.log(
-        `✅ Generated embeddings for ${articlesWithEmbeddings.length} articles`
-      );
-      console.log(`📊 Token usage: ${JSON.stringify(result.usage)}`);
-
-      return articlesWithEmbeddings;
-    } catch (error) {
-      console.error("Error embedding articles:", error.message);
-      throw error;
-    }
-  }
-
-  static cosineSimilarity(embedding1, embedding2) {
-    if (embedding1.length !== embedding2.length) {
-      throw new Error("Embeddings must have the same length");
-    }
-
-    let dotProduct = 0;
-    let norm1 = 0;
-    let norm2 = 0;
-
-    for (let i = 0; i < embedding1.length; i++) {
-      dotProduct += embedding1[i] * embedding2[i];
-      norm1 += embedding1[i] * embedding1[i];
-      norm2 += embedding2[i] * embedding2[i];
-    }
+  async post(body) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.post(this.baseURL, body, {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: this.timeoutMs,
+        });
+      } catch (error) {
+        const status = error.response && error.response.status;
+        const retryable =
+          RETRYABLE_STATUS.has(status) ||
+          (!error.response && error.code !== "ERR_CANCELED");
+
+        if (!retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
 
-    norm1 = Math.sqrt(norm1);
-    norm2 = Math.sqrt(norm2);
+        const retryAfter = Crawler.parseRetryAfter(
+          error.response && error.response.headers["retry-after"]
+        );
+        const backoff = Math.min(
+          retryAfter ?? 1000 * 2 ** attempt + Math.random() * 250,
+          MAX_RETRY_DELAY_MS
+        );
 
-    if (norm1 === 0 || norm2 === 0) {
-      return 0;
+        console.warn(
+          `↻ Retrying Jina embeddings in ${Math.round(backoff)}ms (${
+            status || error.code
+          }, attempt ${attempt + 1}/${this.maxRetries})`
+        );
+        await sleep(backoff);
+      }
     }
-
-    return dotProduct / (norm1 * norm2);
   }
 }
 
@@ -0,0 +1,115 @@
+const cheerio = require("cheerio");
+const Crawler = require("./crawler");
+
+const crawler = Crawler.getSharedCrawler();
+
+// MIME types advertised by <link rel="alternate">, mapped to source types
+const FEED_MIME_TYPES = {
+  "application/rss+xml": "rss",
+  "application/atom+xml": "rss",
+  "application/xml": "rss",
+  "text/xml": "rss",
+  "application/feed+json": "jsonfeed",
+};
+
+// Plain JSON is also used by REST APIs (e.g. WordPress's wp-json links),
+// so it only counts as a feed once the document says it is a JSON Feed
+const JSON_MIME_TYPE = "application/json";
+
+function isJsonFeed(body) {
+  try {
+    const feed = typeof body === "string" ? JSON.parse(body) : body;
+    return Boolean(
+      feed &&
+        typeof feed.version === "string" &&
+        feed.version.startsWith("https://jsonfeed.org/version/")
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a URL advertised as application/json serves a JSON Feed
+ */
+async function fetchIsJsonFeed(url) {
+  try {
+    const response = await crawler.fetch(url, { responseType: "text" });
+    return isJsonFeed(response.data);
+  } catch (error) {
+    console.warn(`⚠️ Could not check ${url}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Find the feeds a site advertises through <link rel="alternate"> tags.
+ * If the URL already points at a feed, it is returned as the only result.
+ */
+async function discoverFeeds(siteUrl) {
+  try {
+    console.log(`🔎 Discovering feeds on ${siteUrl}`);
+
+    const response = await crawler.fetch(siteUrl, { responseType: "text" });
+
+    const contentType = (response.headers["content-type"] || "").split(";")[0];
+    const baseUrl = response.request?.res?.responseUrl || siteUrl;
+
+    const mimeType = contentType.trim().toLowerCase();
+    const directType = FEED_MIME_TYPES[mimeType];
+    if (directType) {
+      return [{ url: baseUrl, title: null, type: directType }];
+    }
+    if (mimeType === JSON_MIME_TYPE) {
+      return isJsonFeed(response.data)
+        ? [{ url: baseUrl, title: null, type: "jsonfeed" }]
+        : [];
+    }
+
+    const $ = cheerio.load(response.data);
+    const feeds = [];
+
+    $('link[rel~="alternate"]').each((index, element) => {
+      const link = $(element);
+      const mimeType = (link.attr("type") || "").toLowerCase().trim();
+      const unverified = mimeType === JSON_MIME_TYPE;
+      const type = unverified ? "jsonfeed" : FEED_MIME_TYPES[mimeType];
+      const href = link.attr("href");
+
+      if (!href || !type) {
+        return;
+      }
+
+      try {
+        const url = new URL(href, baseUrl).toString();
+        if (!feeds.some((feed) => feed.url === url)) {
+          feeds.push({
+            url,
+            title: link.attr("title") || null,
+            type,
+            unverified,
+          });
+        }
+      } catch {
+        // Ignore malformed hrefs
+      }
+    });
+
+    const checks = await Promise.all(
+      feeds.map((feed) => !feed.unverified || fetchIsJsonFeed(feed.url))
+    );
+    const verified = feeds
+      .filter((feed, index) => checks[index])
+      .map(({ unverified, ...feed }) => feed);
+
+    console.log(`✅ Found ${verified.length} feeds on ${siteUrl}`);
+    return verified;
+  } catch (error) {
+    console.error(`❌ Error discovering feeds on ${siteUrl}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  discoverFeeds,
+};
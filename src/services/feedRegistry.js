@@ -0,0 +1,299 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { SOURCE_TYPES } = require("./sources");
+
+// Feeds seeded into a fresh registry
+const DEFAULT_FEEDS = [
+  {
+    url: "https://feeds.bbci.co.uk/news/technology/rss.xml",
+    name: "BBC Technology",
+    category: "technology",
+  },
+  {
+    url: "https://techcrunch.com/feed/",
+    name: "TechCrunch",
+    category: "technology",
+  },
+  {
+    url: "https://feeds.bbci.co.uk/news/business/rss.xml",
+    name: "BBC Business",
+    category: "business",
+  },
+  {
+    url: "http://rss.cnn.com/rss/edition.rss",
+    name: "CNN Top Stories",
+    category: "general",
+  },
+  {
+    url: "https://www.theguardian.com/world/rss",
+    name: "The Guardian World",
+    category: "world",
+  },
+  {
+    url: "https://feeds.npr.org/1001/rss.xml",
+    name: "NPR News",
+    category: "general",
+  },
+];
+
+const FEED_DEFAULTS = {
+  type: "rss",
+  enabled: true,
+  category: "general",
+  maxItems: 10,
+  scrapeFullArticle: true,
+  // Days to keep this feed's articles; null uses the global policy
+  retentionDays: null,
+};
+
+const EDITABLE_FIELDS = [
+  "url",
+  "type",
+  "name",
+  "category",
+  "enabled",
+  "maxItems",
+  "scrapeFullArticle",
+  "retentionDays",
+];
+
+class FeedRegistry {
+  constructor(filePath = path.join(__dirname, "../../data/feeds.json")) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Generate a stable feed ID from its URL
+   */
+  generateFeedId(url) {
+    const hash = crypto.createHash("md5").update(url).digest("hex");
+    return `feed_${hash.substring(0, 12)}`;
+  }
+
+  /**
+   * Validate feed fields, returning a list of problems
+   */
+  validateFeed(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.url !== undefined) {
+      try {
+        const parsed = new URL(data.url);
+        if (!["http:", "https:"].includes(parsed.protocol)) {
+          errors.push("url must use http or https");
+        }
+      } catch {
+        errors.push("url must be a valid URL");
+      }
+    }
+
+    if (data.type !== undefined && !SOURCE_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${SOURCE_TYPES.join(", ")}`);
+    }
+
+    if (data.name !== undefined && typeof data.name !== "string") {
+      errors.push("name must be a string");
+    }
+
+    if (data.category !== undefined && typeof data.category !== "string") {
+      errors.push("category must be a string");
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== "boolean") {
+      errors.push("enabled must be a boolean");
+    }
+
+    if (
+      data.maxItems !== undefined &&
+      (!Number.isInteger(data.maxItems) || data.maxItems < 1)
+    ) {
+      errors.push("maxItems must be a positive integer");
+    }
+
+    if (
+      data.scrapeFullArticle !== undefined &&
+      typeof data.scrapeFullArticle !== "boolean"
+    ) {
+      errors.push("scrapeFullArticle must be a boolean");
+    }
+
+    if (
+      data.retentionDays !== undefined &&
+      data.retentionDays !== null &&
+      (typeof data.retentionDays !== "number" || !(data.retentionDays > 0))
+    ) {
+      errors.push("retentionDays must be a positive number or null");
+    }
+
+    return errors;
+  }
+
+  buildFeed(data) {
+    const now = new Date().toISOString();
+    const feed = {
+      id: this.generateFeedId(data.url),
+      url: data.url,
+      ...FEED_DEFAULTS,
+      name: data.name || new URL(data.url).hostname,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        feed[field] = data[field];
+      }
+    });
+
+    return feed;
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, "utf8");
+      return JSON.parse(data).feeds || [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error reading feed registry:", error.message);
+        throw error;
+      }
+
+      // First run: seed the registry with the default feeds
+      const feeds = DEFAULT_FEEDS.map((feed) => this.buildFeed(feed));
+      await this.save(feeds);
+      console.log(`🌱 Seeded feed registry with ${feeds.length} feeds`);
+      return feeds;
+    }
+  }
+
+  async save(feeds) {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(
+        this.filePath,
+        JSON.stringify(
+          { lastUpdated: new Date().toISOString(), feeds },
+          null,
+          2
+        )
+      );
+    } catch (error) {
+      console.error("Error saving feed registry:", error.message);
+      throw error;
+    }
+  }
+
+  async getAllFeeds() {
+    return this.load();
+  }
+
+  async getEnabledFeeds() {
+    const feeds = await this.load();
+    return feeds.filter((feed) => feed.enabled);
+  }
+
+  async getFeed(feedId) {
+    const feeds = await this.load();
+    return feeds.find((feed) => feed.id === feedId) || null;
+  }
+
+  async findByUrl(url) {
+    const feeds = await this.load();
+    return feeds.find((feed) => feed.url === url) || null;
+  }
+
+  async addFeed(data) {
+    const feeds = await this.load();
+
+    if (feeds.some((feed) => feed.url === data.url)) {
+      throw new Error(`Feed already registered: ${data.url}`);
+    }
+
+    const feed = this.buildFeed(data);
+    feeds.push(feed);
+    await this.save(feeds);
+
+    console.log(`➕ Added feed ${feed.id}: ${feed.url}`);
+    return feed;
+  }
+
+  /**
+   * Add many feeds at once, skipping invalid entries and known URLs
+   */
+  async importFeeds(entries) {
+    const feeds = await this.load();
+    const added = [];
+    const skipped = [];
+
+    entries.forEach((entry) => {
+      const errors = this.validateFeed(entry);
+
+      if (errors.length > 0) {
+        skipped.push({ url: entry.url, reason: errors.join(", ") });
+      } else if (feeds.some((feed) => feed.url === entry.url)) {
+        skipped.push({ url: entry.url, reason: "already registered" });
+      } else {
+        const feed = this.buildFeed(entry);
+        feeds.push(feed);
+        added.push(feed);
+      }
+    });
+
+    if (added.length > 0) {
+      await this.save(feeds);
+    }
+
+    console.log(
+      `📥 Imported ${added.length} feeds (${skipped.length} skipped)`
+    );
+    return { added, skipped };
+  }
+
+  async updateFeed(feedId, updates) {
+    const feeds = await this.load();
+    const index = feeds.findIndex((feed) => feed.id === feedId);
+
+    if (index === -1) {
+      return null;
+    }
+
+    if (
+      updates.url !== undefined &&
+      feeds.some((feed) => feed.url === updates.url && feed.id !== feedId)
+    ) {
+      throw new Error(`Feed already registered: ${updates.url}`);
+    }
+
+    const feed = { ...feeds[index] };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) {
+        feed[field] = updates[field];
+      }
+    });
+    feed.updatedAt = new Date().toISOString();
+
+    feeds[index] = feed;
+    await this.save(feeds);
+
+    console.log(`✏️ Updated feed ${feedId}`);
+    return feed;
+  }
+
+  async deleteFeed(feedId) {
+    const feeds = await this.load();
+    const remaining = feeds.filter((feed) => feed.id !== feedId);
+
+    if (remaining.length === feeds.length) {
+      return false;
+    }
+
+    await this.save(remaining);
+    console.log(`🗑️ Deleted feed ${feedId}`);
+    return true;
+  }
+}
+
+FeedRegistry.DEFAULT_FEEDS = DEFAULT_FEEDS;
+
+module.exports = FeedRegistry;
@@ -0,0 +1,111 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "../../fixtures/http");
+
+// Response headers worth keeping; the rest vary run to run
+const RECORDED_HEADERS = [
+  "content-type",
+  "etag",
+  "last-modified",
+  "retry-after",
+  "location",
+];
+
+/**
+ * Stores HTTP responses on disk keyed by URL so ingestion can be replayed
+ * without network access. One file per URL, grouped by host.
+ */
+class HttpFixtures {
+  constructor(dir = process.env.HTTP_FIXTURE_DIR || DEFAULT_FIXTURE_DIR) {
+    this.dir = dir;
+  }
+
+  pathFor(url) {
+    const parsed = new URL(url);
+    const hash = crypto.createHash("sha256").update(url).digest("hex");
+    const host = parsed.host.replace(/[^a-z0-9.-]/gi, "_");
+
+    return path.join(this.dir, host, `${hash.substring(0, 24)}.fixture`);
+  }
+
+  /**
+   * Read the recorded response for a URL, or null if none was recorded
+   */
+  async load(url) {
+    try {
+      const data = await fs.readFile(this.pathFor(url), "utf8");
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      console.error(`Error reading HTTP fixture for ${url}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an axios response (successful or not) for a URL
+   */
+  async save(url, response) {
+    const headers = {};
+    RECORDED_HEADERS.forEach((name) => {
+      if (response.headers && response.headers[name] !== undefined) {
+        headers[name] = String(response.headers[name]);
+      }
+    });
+
+    const fixture = {
+      url,
+      finalUrl:
+        (response.request &&
+          response.request.res &&
+          response.request.res.responseUrl) ||
+        url,
+      status: response.status,
+      statusText: response.statusText || "",
+      headers,
+      data: response.data,
+      recordedAt: new Date().toISOString(),
+    };
+
+    try {
+      const filePath = this.pathFor(url);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      console.error(`Error saving HTTP fixture for ${url}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild an axios-style response from a fixture. Statuses rejected by
+   * `validateStatus` throw the same way axios does.
+   */
+  toResponse(fixture, options = {}) {
+    const response = {
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: { ...fixture.headers },
+      data: fixture.data,
+      config: options,
+      request: { res: { responseUrl: fixture.finalUrl } },
+    };
+
+    const validateStatus =
+      options.validateStatus || ((status) => status >= 200 && status < 300);
+
+    if (!validateStatus(response.status)) {
+      const error = new Error(
+        `Request failed with status code ${response.status}`
+      );
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+module.exports = HttpFixtures;
@@ -0,0 +1,171 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Tracks per-feed HTTP validators and already-ingested articles so that
+ * repeat runs only scrape, embed and store what actually changed.
+ */
+class IngestionLedger {
+  constructor(
+    filePath = process.env.INGESTION_LEDGER_FILE ||
+      path.join(__dirname, "../../data/ingestion_ledger.json")
+  ) {
+    this.filePath = filePath;
+    this.state = { feeds: {}, articles: {}, aliases: {} };
+  }
+
+  static hash(...parts) {
+    return crypto
+      .createHash("sha256")
+      .update(parts.map((part) => part || "").join("\u0000"))
+      .digest("hex");
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(data);
+      this.state = {
+        feeds: parsed.feeds || {},
+        articles: parsed.articles || {},
+        aliases: parsed.aliases || {},
+      };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error reading ingestion ledger:", error.message);
+        throw error;
+      }
+      this.state = { feeds: {}, articles: {}, aliases: {} };
+    }
+
+    return this;
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(
+        this.filePath,
+        JSON.stringify(
+          { lastUpdated: new Date().toISOString(), ...this.state },
+          null,
+          2
+        )
+      );
+      console.log(
+        `📒 Saved ingestion ledger (${
+          Object.keys(this.state.articles).length
+        } articles)`
+      );
+    } catch (error) {
+      console.error("Error saving ingestion ledger:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored ETag/Last-Modified validators for a feed
+   */
+  getFeedState(feedId) {
+    return this.state.feeds[feedId] || {};
+  }
+
+  setFeedState(feedId, { etag, lastModified }) {
+    this.state.feeds[feedId] = {
+      etag: etag || null,
+      lastModified: lastModified || null,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Map a feed URL to the canonical URL its page declared
+   */
+  setAlias(url, canonicalUrl) {
+    if (url && canonicalUrl && url !== canonicalUrl) {
+      this.state.aliases[url] = canonicalUrl;
+    }
+  }
+
+  resolveUrl(url) {
+    return this.state.aliases[url] || url;
+  }
+
+  getArticle(url) {
+    return this.state.articles[this.resolveUrl(url)] || null;
+  }
+
+  /**
+   * Classify a feed item as "new", "changed" or "unchanged" by its item hash
+   */
+  classifyItem(url, itemHash) {
+    const entry = this.getArticle(url);
+
+    if (!entry) return "new";
+    if (entry.itemHash !== itemHash) return "changed";
+    return "unchanged";
+  }
+
+  /**
+   * Whether the scraped content matches what was last ingested
+   */
+  hasSameContent(url, contentHash) {
+    const entry = this.getArticle(url);
+    return Boolean(entry && entry.contentHash === contentHash);
+  }
+
+  recordArticle(url, { itemHash, contentHash }) {
+    const existing = this.getArticle(url);
+    const now = new Date().toISOString();
+
+    this.state.articles[this.resolveUrl(url)] = {
+      ...existing,
+      itemHash,
+      contentHash,
+      firstSeenAt: existing ? existing.firstSeenAt : now,
+      ingestedAt: now,
+    };
+  }
+
+  /**
+   * Forget the hashes of an article that was not stored, so the next run
+   * treats it as changed and tries again
+   */
+  invalidateArticle(url) {
+    const entry = this.getArticle(url);
+    if (entry) {
+      this.state.articles[this.resolveUrl(url)] = {
+        ...entry,
+        itemHash: null,
+        contentHash: null,
+      };
+    }
+  }
+
+  /**
+   * Store the near-duplicate fingerprint and story cluster of an article
+   */
+  setArticleFingerprint(url, { simhash, clusterId }) {
+    this.state.articles[this.resolveUrl(url)] = {
+      ...this.getArticle(url),
+      simhash,
+      clusterId,
+    };
+  }
+
+  /**
+   * All fingerprinted articles, for near-duplicate lookups
+   */
+  getFingerprints() {
+    return Object.entries(this.state.articles)
+      .filter(([, entry]) => entry.simhash)
+      .map(([url, entry]) => ({
+        url,
+        simhash: entry.simhash,
+        clusterId: entry.clusterId,
+      }));
+  }
+}
+
+module.exports = IngestionLedger;
@@ -0,0 +1,162 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Oldest runs are dropped beyond this many
+const DEFAULT_MAX_RUNS = 200;
+
+/**
+ * History of pipeline runs, newest first, persisted as JSON
+ */
+class IngestionRuns {
+  constructor(
+    filePath = path.join(__dirname, "../../data/ingestion_runs.json"),
+    { maxRuns = DEFAULT_MAX_RUNS } = {}
+  ) {
+    this.filePath = filePath;
+    this.maxRuns = maxRuns;
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, "utf8");
+      return JSON.parse(data).runs || [];
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      console.error("Error reading ingestion runs:", error.message);
+      throw error;
+    }
+  }
+
+  async save(runs) {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(
+        this.filePath,
+        JSON.stringify(
+          {
+            lastUpdated: new Date().toISOString(),
+            runs: runs.slice(0, this.maxRuns),
+          },
+          null,
+          2
+        )
+      );
+    } catch (error) {
+      console.error("Error saving ingestion runs:", error.message);
+      throw error;
+    }
+  }
+
+  async getRuns(limit = 20) {
+    const runs = await this.load();
+    return runs.slice(0, limit);
+  }
+
+  async getRun(runId) {
+    const runs = await this.load();
+    return runs.find((run) => run.id === runId) || null;
+  }
+
+  /**
+   * Record a run as started and return it
+   */
+  async startRun(trigger) {
+    const run = {
+      id: `run_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+      trigger,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      counts: null,
+      feedErrors: [],
+      embedErrors: [],
+      error: null,
+    };
+
+    const runs = await this.load();
+    await this.save([run, ...runs]);
+    return run;
+  }
+
+  /**
+   * Store the outcome of a run: per-stage counts, per-feed errors and
+   * articles that failed to embed. A failed run passes what its completed
+   * steps did as `result`.
+   */
+  async finishRun(run, { result = null, error = null } = {}) {
+    const finishedAt = new Date();
+    const ingestion = (result && result.ingestion) || {};
+    // Steps a successful run skipped count 0; steps a failed run never
+    // reached are unknown
+    const count = (value) => value ?? (error ? null : 0);
+
+    const finished = {
+      ...run,
+      status: error ? "failed" : "succeeded",
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - new Date(run.startedAt),
+      counts: result
+        ? {
+            feeds: count(ingestion.feeds),
+            notModified: count(ingestion.notModified),
+            new: count(ingestion.new),
+            changed: count(ingestion.changed),
+            skipped: count(ingestion.skipped),
+            ingested: count(result.ingested),
+            duplicates: count(result.duplicates),
+            embedded: count(result.embedded),
+            embedFailed: count(result.embedFailed),
+            cacheHits: result.embeddingCache
+              ? result.embeddingCache.hits
+              : null,
+            cacheMisses: result.embeddingCache
+              ? result.embeddingCache.misses
+              : null,
+            stored: count(result.stored),
+            purged: count(result.purged),
+          }
+        : null,
+      feedErrors: ingestion.feedErrors || [],
+      embedErrors: (result && result.embedErrors) || [],
+      error: error ? error.message : null,
+    };
+
+    const runs = await this.load();
+    const index = runs.findIndex((entry) => entry.id === run.id);
+    if (index === -1) {
+      runs.unshift(finished);
+    } else {
+      runs[index] = finished;
+    }
+
+    await this.save(runs);
+    return finished;
+  }
+
+  /**
+   * Mark runs still "running" as failed, except `keepRunId`. Called when a
+   * stale lock is reclaimed: whatever process held it died mid-run.
+   * Resolves with the number of runs marked.
+   */
+  async failInterruptedRuns(keepRunId = null) {
+    const runs = await this.load();
+    let interrupted = 0;
+
+    const updated = runs.map((run) => {
+      if (run.status !== "running" || run.id === keepRunId) return run;
+      interrupted++;
+      return {
+        ...run,
+        status: "failed",
+        error: "Interrupted: the process running it stopped before it finished",
+      };
+    });
+
+    if (interrupted > 0) await this.save(updated);
+    return interrupted;
+  }
+}
+
+module.exports = IngestionRuns;
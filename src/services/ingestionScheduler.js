@@ -0,0 +1,278 @@
+const fs = require("fs").promises;
+const path = require("path");
+const cron = require("node-cron");
+const NewsPipeline = require("./pipeline");
+const IngestionRuns = require("./ingestionRuns");
+require("dotenv").config();
+
+// A lock older than this is assumed to belong to a crashed run
+const DEFAULT_LOCK_TTL_MS = 2 * 60 * 60 * 1000;
+
+// How often a held lock file is touched so it never looks stale
+const LOCK_REFRESH_MS = 5 * 60 * 1000;
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// A crawl takes minutes, and setInterval fires every 1 ms past 2^31 - 1 ms
+const MIN_INTERVAL_MS = 60 * 1000;
+const MAX_INTERVAL_MS = 2 ** 31 - 1;
+
+/**
+ * Parse a schedule: an interval such as "30m", "6h" or "900s" (at least a
+ * minute, at most about 24 days), or a cron expression such as
+ * "0 * * * *"
+ */
+function parseSchedule(schedule) {
+  if (!schedule) return null;
+
+  const value = String(schedule).trim();
+
+  if (/^\d+\s*[a-z]*$/i.test(value)) {
+    const interval = value.match(/^(\d+)\s*(s|m|h)$/);
+    if (!interval) {
+      throw new Error(
+        `Invalid ingestion interval: ${value} (use a number with s, m or h, e.g. "30m")`
+      );
+    }
+
+    const ms = parseInt(interval[1]) * INTERVAL_UNITS[interval[2]];
+    if (ms < MIN_INTERVAL_MS || ms > MAX_INTERVAL_MS) {
+      throw new Error(
+        `Invalid ingestion interval: ${value} (must be between 1m and ${Math.floor(
+          MAX_INTERVAL_MS / INTERVAL_UNITS.h
+        )}h)`
+      );
+    }
+    return { type: "interval", value, intervalMs: ms };
+  }
+
+  if (!cron.validate(value)) {
+    throw new Error(`Invalid ingestion schedule: ${value}`);
+  }
+
+  return { type: "cron", value };
+}
+
+/**
+ * Runs the news pipeline on a schedule. Runs never overlap: an in-process
+ * flag guards this server and a lock file guards other processes (e.g. a
+ * manual `npm run pipeline`). Every run is recorded in the run history.
+ */
+class IngestionScheduler {
+  constructor(options = {}) {
+    this.schedule = parseSchedule(
+      options.schedule ?? process.env.INGESTION_SCHEDULE
+    );
+    this.lockFile =
+      options.lockFile || path.join(__dirname, "../../data/ingestion.lock");
+    this.lockTtlMs =
+      options.lockTtlMs ||
+      parseInt(process.env.INGESTION_LOCK_TTL_MS) ||
+      DEFAULT_LOCK_TTL_MS;
+    this.runs = options.runs || new IngestionRuns();
+    this.createPipeline = options.createPipeline || (() => new NewsPipeline());
+
+    this.task = null;
+    this.timer = null;
+    this.lockRefreshTimer = null;
+    this.currentRun = null;
+    this.nextRunAt = null;
+  }
+
+  start() {
+    if (!this.schedule) {
+      console.log(
+        "⏸️ Ingestion scheduler disabled (INGESTION_SCHEDULE not set)"
+      );
+      return false;
+    }
+
+    if (this.schedule.type === "cron") {
+      this.task = cron.schedule(this.schedule.value, () => this.runScheduled());
+    } else {
+      this.nextRunAt = new Date(Date.now() + this.schedule.intervalMs);
+      this.timer = setInterval(() => {
+        this.nextRunAt = new Date(Date.now() + this.schedule.intervalMs);
+        this.runScheduled();
+      }, this.schedule.intervalMs);
+    }
+
+    console.log(`⏰ Ingestion scheduled: ${this.schedule.value}`);
+    return true;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  isRunning() {
+    return this.currentRun !== null;
+  }
+
+  getStatus() {
+    return {
+      enabled: Boolean(this.task || this.timer),
+      schedule: this.schedule,
+      running: this.isRunning(),
+      currentRun: this.currentRun,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+    };
+  }
+
+  async runScheduled() {
+    try {
+      await this.runNow({ trigger: "schedule" });
+    } catch (error) {
+      // Already recorded in the run history; keep the schedule alive
+      console.error("Scheduled ingestion failed:", error.message);
+    }
+  }
+
+  /**
+   * Take the lock file, or return false if another live run holds it.
+   * While held, the lock is touched regularly so a long re-index or
+   * restore is not mistaken for a crashed run.
+   */
+  async acquireLock() {
+    const acquired = await this.writeLock();
+    if (acquired) this.startLockRefresh();
+    return acquired;
+  }
+
+  async writeLock() {
+    await fs.mkdir(path.dirname(this.lockFile), { recursive: true });
+    const lock = JSON.stringify({
+      pid: process.pid,
+      lockedAt: new Date().toISOString(),
+    });
+
+    try {
+      await fs.writeFile(this.lockFile, lock, { flag: "wx" });
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const stats = await fs.stat(this.lockFile);
+    if (Date.now() - stats.mtimeMs < this.lockTtlMs) {
+      return false;
+    }
+
+    console.warn(`⚠️ Removing stale ingestion lock: ${this.lockFile}`);
+    await fs.unlink(this.lockFile).catch(() => {});
+
+    try {
+      await fs.writeFile(this.lockFile, lock, { flag: "wx" });
+    } catch (error) {
+      if (error.code === "EEXIST") return false;
+      throw error;
+    }
+
+    // The crashed holder never recorded how its run ended
+    try {
+      const interrupted = await this.runs.failInterruptedRuns(
+        this.currentRun && this.currentRun.id
+      );
+      if (interrupted > 0) {
+        console.warn(`⚠️ Marked ${interrupted} interrupted run(s) as failed`);
+      }
+    } catch (error) {
+      console.warn("Could not update interrupted runs:", error.message);
+    }
+    return true;
+  }
+
+  startLockRefresh() {
+    this.stopLockRefresh();
+    this.lockRefreshTimer = setInterval(() => {
+      const now = new Date();
+      fs.utimes(this.lockFile, now, now).catch((error) =>
+        console.warn("Could not refresh ingestion lock:", error.message)
+      );
+    }, Math.min(LOCK_REFRESH_MS, this.lockTtlMs / 4));
+    // Never keep the process alive just for the lock
+    this.lockRefreshTimer.unref();
+  }
+
+  stopLockRefresh() {
+    if (this.lockRefreshTimer) {
+      clearInterval(this.lockRefreshTimer);
+      this.lockRefreshTimer = null;
+    }
+  }
+
+  async releaseLock() {
+    this.stopLockRefresh();
+    await fs.unlink(this.lockFile).catch(() => {});
+  }
+
+  /**
+   * Run the pipeline once, unless a run is already in progress.
+   * Resolves with the recorded run, or null when skipped.
+   */
+  async runNow({ trigger = "manual", wait = true } = {}) {
+    if (this.isRunning() || !(await this.acquireLock())) {
+      console.log(`⏭️ Skipping ${trigger} ingestion: a run is in progress`);
+      return null;
+    }
+
+    let run;
+    try {
+      run = await this.runs.startRun(trigger);
+    } catch (error) {
+      await this.releaseLock();
+      throw error;
+    }
+
+    this.currentRun = run;
+    console.log(`▶️ Ingestion run ${run.id} started (${trigger})`);
+
+    const execution = this.execute(run);
+    if (!wait) {
+      execution.catch(() => {});
+      return run;
+    }
+    return execution;
+  }
+
+  async execute(run) {
+    let result = null;
+    let failure = null;
+
+    try {
+      result = await this.createPipeline().runPipeline();
+    } catch (error) {
+      failure = error;
+      // Keep the ingestion stats and feed errors of the steps that ran
+      result = error.partialResult || null;
+    }
+
+    try {
+      const finished = await this.runs.finishRun(run, {
+        result,
+        error: failure,
+      });
+      console.log(
+        `${failure ? "❌" : "✅"} Ingestion run ${run.id} ${finished.status}`
+      );
+
+      if (failure) throw failure;
+      return finished;
+    } finally {
+      this.currentRun = null;
+      await this.releaseLock();
+    }
+  }
+}
+
+IngestionScheduler.parseSchedule = parseSchedule;
+
+module.exports = IngestionScheduler;
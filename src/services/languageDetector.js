@@ -0,0 +1,62 @@
+// Frequent function words per language (ISO 639-1 codes)
+const STOPWORDS = {
+  en: "the and of to in is that for it was on with as are be this by from at have not but his they which you an has were their said will",
+  es: "el la de que y en los se del las un por con no una su para es al lo como más pero sus le ya fue este ha",
+  fr: "le la les de des et est en un une du que qui pour pas dans sur au par plus ce il elle sont avec son ont été",
+  de: "der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie nach wird",
+  it: "il di che e la per un in non una sono del della le si al gli ha con da più anche ma nel come è alla dei questo",
+  pt: "de que e o da do em para com não uma os no se na por mais as dos como mas foi ao ele das tem seu sua ou",
+  nl: "de het een en van in is dat op te zijn voor met die niet aan er maar om ook als bij dan nog wel naar heeft",
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [
+    language,
+    new Set(words.split(" ")),
+  ])
+);
+
+// Below this many recognised words the guess is not trusted
+const MIN_MATCHES = 5;
+
+/**
+ * Guess the language of a text from stopword frequency. Returns an
+ * ISO 639-1 code, or null when the text is too short or ambiguous.
+ */
+function detectLanguage(text) {
+  if (!text) return null;
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const counts = {};
+
+  words.slice(0, 2000).forEach((word) => {
+    Object.entries(STOPWORD_SETS).forEach(([language, stopwords]) => {
+      if (stopwords.has(word)) {
+        counts[language] = (counts[language] || 0) + 1;
+      }
+    });
+  });
+
+  const [best, runnerUp] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+  if (!best || best[1] < MIN_MATCHES) return null;
+  // Require a clear winner over the closest language
+  if (runnerUp && best[1] < runnerUp[1] * 1.5) return null;
+
+  return best[0];
+}
+
+/**
+ * Reduce a declared language tag ("en-GB", "pt_BR") to its primary subtag
+ */
+function normalizeLanguage(tag) {
+  if (!tag || typeof tag !== "string") return null;
+
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+module.exports = {
+  detectLanguage,
+  normalizeLanguage,
+};
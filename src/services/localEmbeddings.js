@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const EmbeddingProvider = require("./embeddingProvider");
+
+const DEFAULT_DIMENSION = 512;
+
+// Relative weights of the hashed feature families, keyed by prefix:
+// words, word bigrams and character trigrams
+const FEATURE_WEIGHTS = { w: 1, b: 0.7, c: 0.35 };
+
+// Frequent words that carry little topical signal
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have he her his i in is it its of on or our she that the their there they this to was we were which who will with you your".split(
+    " "
+  )
+);
+
+/**
+ * Map a feature to a bucket and a sign (+1/-1). The sign halves the error
+ * from hash collisions.
+ */
+function hashFeature(feature, dimension) {
+  const digest = crypto.createHash("md5").update(feature).digest();
+  const bucket = digest.readUInt32LE(0) % dimension;
+  const sign = digest[4] & 1 ? 1 : -1;
+  return { bucket, sign };
+}
+
+function tokenize(text) {
+  return (
+    text
+      .toLowerCase()
+      .normalize("NFKC")
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((token) => !STOPWORDS.has(token));
+}
+
+/**
+ * Fully offline embeddings: words, word bigrams and character trigrams are
+ * hashed into a fixed-size vector with sublinear term frequency and L2
+ * normalisation. Needs no network or model files, so it suits development,
+ * tests and air-gapped installs. Quality is lexical, not semantic.
+ */
+class LocalEmbeddings extends EmbeddingProvider {
+  constructor({ dimension = DEFAULT_DIMENSION } = {}) {
+    super({
+      name: "local",
+      model: `local-hashed-ngrams-v1-${dimension}`,
+      dimension,
+      // Lexical vectors score lower than neural ones for related texts
+      similarityThreshold: 0.1,
+    });
+    // Computing a vector is cheaper than reading one from the cache
+    this.cacheable = false;
+  }
+
+  featureCounts(text) {
+    const counts = new Map();
+    const add = (feature) =>
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+
+    const tokens = tokenize(text);
+
+    tokens.forEach((token, index) => {
+      add(`w:${token}`);
+
+      if (index > 0) {
+        add(`b:${tokens[index - 1]} ${token}`);
+      }
+
+      // Character trigrams let inflections ("elect", "elections") overlap
+      const padded = `^${token}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`c:${padded.substring(i, i + 3)}`);
+      }
+    });
+
+    return counts;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    this.featureCounts(text || "").forEach((count, feature) => {
+      const { bucket, sign } = hashFeature(feature, this.dimension);
+      vector[bucket] +=
+        sign * FEATURE_WEIGHTS[feature[0]] * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value ** 2, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+
+  async embedTexts(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error("Texts array cannot be empty");
+    }
+
+    return {
+      embeddings: texts.map((text) =>
+        text && text.trim().length > 0 ? this.embed(text) : null
+      ),
+      model: this.model,
+      usage: { total_tokens: 0 },
+    };
+  }
+}
+
+LocalEmbeddings.STOPWORDS = STOPWORDS;
+
+module.exports = LocalEmbeddings;
@@ -0,0 +1,626 @@
+const fs = require("fs").promises;
+const path = require("path");
+const VectorStore = require("./vectorStore");
+require("dotenv").config();
+
+const DEFAULT_STORE_FILE = path.join(__dirname, "../../data/vector_store.json");
+
+const STORE_FILE_VERSION = 1;
+
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Point IDs follow Qdrant: unsigned integers or UUIDs, with UUIDs given
+ * as 32 hex digits returned in their hyphenated form. Returns null for
+ * anything else.
+ */
+function normalizeId(id) {
+  if (Number.isInteger(id) && id >= 0) return id;
+  if (typeof id !== "string") return null;
+
+  const hex = id.replace(/-/g, "").toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(hex)) return null;
+
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+// Integer IDs sort before UUIDs, as in Qdrant's scroll order
+function compareIds(a, b) {
+  if (typeof a !== typeof b) return typeof a === "number" ? -1 : 1;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Vectors are kept unit-length so cosine similarity is a dot product
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return Float32Array.from(vector, (value) => (norm > 0 ? value / norm : 0));
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function encodeVector(vector) {
+  return Buffer.from(
+    vector.buffer,
+    vector.byteOffset,
+    vector.byteLength
+  ).toString("base64");
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, "base64");
+  return new Float32Array(
+    buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    )
+  );
+}
+
+function payloadValues(payload, key) {
+  const value = key
+    .split(".")
+    .reduce(
+      (current, part) => (current == null ? undefined : current[part]),
+      payload
+    );
+
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Evaluate one condition of a Qdrant filter against a point
+ */
+function matchesCondition(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition);
+  }
+
+  if (condition.has_id) {
+    return condition.has_id.map(normalizeId).includes(point.id);
+  }
+
+  if (condition.is_empty) {
+    return payloadValues(point.payload, condition.is_empty.key).length === 0;
+  }
+
+  if (condition.is_null) {
+    const value = condition.is_null.key
+      .split(".")
+      .reduce(
+        (current, part) => (current == null ? undefined : current[part]),
+        point.payload
+      );
+    return value === null;
+  }
+
+  const values = payloadValues(point.payload, condition.key);
+
+  if (condition.match) {
+    const { match } = condition;
+    if ("value" in match) return values.includes(match.value);
+    if (match.any) return values.some((value) => match.any.includes(value));
+    if (match.except) {
+      return (
+        values.length > 0 &&
+        values.every((value) => !match.except.includes(value))
+      );
+    }
+  }
+
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(
+      (value) =>
+        typeof value === "number" &&
+        (gt === undefined || gt === null || value > gt) &&
+        (gte === undefined || gte === null || value >= gte) &&
+        (lt === undefined || lt === null || value < lt) &&
+        (lte === undefined || lte === null || value <= lte)
+    );
+  }
+
+  throw storeError(
+    `Unsupported filter condition: ${JSON.stringify(condition)}`,
+    400
+  );
+}
+
+/**
+ * Qdrant filter semantics: every `must`, at least one `should` (when
+ * given) and no `must_not` condition
+ */
+function matchesFilter(point, filter) {
+  if (!filter) return true;
+
+  const list = (conditions) => [].concat(conditions || []);
+  const should = list(filter.should);
+
+  return (
+    list(filter.must).every((condition) =>
+      matchesCondition(point, condition)
+    ) &&
+    (should.length === 0 ||
+      should.some((condition) => matchesCondition(point, condition))) &&
+    !list(filter.must_not).some((condition) =>
+      matchesCondition(point, condition)
+    )
+  );
+}
+
+/**
+ * Collections and aliases of one store file, shared by every store in the
+ * process that uses the file. The file is re-read when another process
+ * rewrites it, so a CLI run and the server see each other's changes;
+ * concurrent writers from two processes are not supported.
+ */
+class MemoryDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.aliases = new Map();
+    this.collections = new Map();
+    this.loadedMtimeMs = null;
+    this.pendingSaves = 0;
+    this.saving = Promise.resolve();
+  }
+
+  async refresh() {
+    // Unsaved changes in this process are newer than the file
+    if (this.pendingSaves > 0) return this;
+
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (this.loadedMtimeMs !== null) {
+        this.aliases = new Map();
+        this.collections = new Map();
+        this.loadedMtimeMs = null;
+      }
+      return this;
+    }
+
+    if (stats.mtimeMs !== this.loadedMtimeMs) {
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+        this.aliases = new Map(Object.entries(data.aliases || {}));
+        this.collections = new Map(
+          Object.entries(data.collections || {}).map(([name, collection]) => [
+            name,
+            {
+              ...collection,
+              points: new Map(
+                collection.points.map((point) => [
+                  point.id,
+                  { ...point, vector: decodeVector(point.vector) },
+                ])
+              ),
+            },
+          ])
+        );
+        this.loadedMtimeMs = stats.mtimeMs;
+      } catch (error) {
+        console.error("Error reading vector store file:", error.message);
+        throw error;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Write the current state; overlapping saves are chained so the file
+   * always ends with the latest state
+   */
+  async save() {
+    this.pendingSaves++;
+    const write = this.saving.then(() => this.writeFile());
+    this.saving = write.catch(() => {});
+
+    try {
+      await write;
+    } finally {
+      this.pendingSaves--;
+    }
+  }
+
+  async writeFile() {
+    try {
+      const collections = {};
+      this.collections.forEach((collection, name) => {
+        collections[name] = {
+          ...collection,
+          points: [...collection.points.values()].map((point) => ({
+            ...point,
+            vector: encodeVector(point.vector),
+          })),
+        };
+      });
+
+      // Write a temporary file first so readers never see half a store
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(
+        tempPath,
+        JSON.stringify({
+          version: STORE_FILE_VERSION,
+          savedAt: new Date().toISOString(),
+          aliases: Object.fromEntries(this.aliases),
+          collections,
+        })
+      );
+      await fs.rename(tempPath, this.filePath);
+
+      this.loadedMtimeMs = (await fs.stat(this.filePath)).mtimeMs;
+    } catch (error) {
+      console.error("Error saving vector store file:", error.message);
+      throw error;
+    }
+  }
+}
+
+// One database per store file in this process
+const databases = new Map();
+
+function getDatabase(filePath) {
+  if (!databases.has(filePath)) {
+    databases.set(filePath, new MemoryDatabase(filePath));
+  }
+  return databases.get(filePath);
+}
+
+/**
+ * Vector store that keeps collections in memory and persists them to a
+ * local file (VECTOR_STORE_FILE, default data/vector_store.json). It
+ * mirrors Qdrant's aliases, filters, cosine scoring and IDF-weighted
+ * keyword scoring, so development and tests run without a cluster.
+ * Every search scans the whole collection; use Qdrant for large indexes.
+ */
+class MemoryVectorStore extends VectorStore {
+  constructor({
+    filePath = process.env.VECTOR_STORE_FILE || DEFAULT_STORE_FILE,
+    ...options
+  } = {}) {
+    super({ ...options, filePath, backend: "memory" });
+    this.filePath = filePath;
+    this.database = getDatabase(filePath);
+  }
+
+  async lookupCollection(name) {
+    const database = await this.database.refresh();
+
+    if (database.aliases.has(name)) return database.aliases.get(name);
+    return database.collections.has(name) ? name : null;
+  }
+
+  /**
+   * The collection behind `collectionName`, or a 404 error like Qdrant's
+   */
+  async getCollection() {
+    const name = await this.resolveCollection();
+    if (!name) {
+      throw storeError(
+        `Not found: Collection \`${this.collectionName}\` doesn't exist!`,
+        404
+      );
+    }
+    return this.database.collections.get(name);
+  }
+
+  async createCollection(name = this.collectionName) {
+    const database = await this.database.refresh();
+    if (database.collections.has(name) || database.aliases.has(name)) {
+      throw storeError(`Collection \`${name}\` already exists!`, 409);
+    }
+
+    database.collections.set(name, {
+      vectorSize: this.vectorSize,
+      sparse: true,
+      metadata: null,
+      createdAt: new Date().toISOString(),
+      points: new Map(),
+    });
+    await this.setCollectionMetadata(name, {
+      embeddingModel: this.embeddingModel,
+      dimension: this.vectorSize,
+    });
+
+    return name;
+  }
+
+  async setCollectionMetadata(name, { embeddingModel, dimension }) {
+    const database = await this.database.refresh();
+    const collection = database.collections.get(name);
+    if (!collection) {
+      throw storeError(`Not found: Collection \`${name}\` doesn't exist!`, 404);
+    }
+
+    collection.metadata = {
+      collection: name,
+      embeddingModel,
+      dimension,
+      recordedAt: new Date().toISOString(),
+    };
+    await database.save();
+  }
+
+  async getCollectionMetadata(name) {
+    const database = await this.database.refresh();
+    const collection = database.collections.get(name);
+    return (collection && collection.metadata) || null;
+  }
+
+  // Metadata lives on the collection record and goes with it
+  async deleteCollectionMetadata() {}
+
+  async hasSparseIndex() {
+    const name = await this.resolveCollection();
+    return Boolean(name && this.database.collections.get(name).sparse);
+  }
+
+  async switchAlias(targetCollection) {
+    const previous = await this.lookupCollection(this.collectionName);
+    if (previous === this.collectionName) {
+      throw new Error(
+        `${previous} is a collection, not an alias; set VECTOR_STORE_ALIAS to another name`
+      );
+    }
+
+    const database = this.database;
+    database.aliases.set(this.collectionName, targetCollection);
+    await database.save();
+    this.modelCheckedAt = 0;
+
+    console.log(`🔀 ${this.collectionName} now points to ${targetCollection}`);
+    return previous;
+  }
+
+  async dropCollection(name) {
+    const database = await this.database.refresh();
+    if (!database.collections.delete(name)) {
+      throw storeError(`Not found: Collection \`${name}\` doesn't exist!`, 404);
+    }
+
+    // Like Qdrant, aliases of a deleted collection go with it
+    database.aliases.forEach((target, alias) => {
+      if (target === name) database.aliases.delete(alias);
+    });
+    await database.save();
+  }
+
+  async getCollectionStats(name) {
+    const database = await this.database.refresh();
+    const collection = database.collections.get(name);
+
+    return {
+      vectorsCount: collection.points.size,
+      indexedVectorsCount: collection.points.size,
+      pointsCount: collection.points.size,
+      file: this.filePath,
+    };
+  }
+
+  async upsertPoints(points) {
+    const collection = await this.getCollection();
+
+    const stored = points.map(({ id, vector, sparseVector, payload }) => {
+      const pointId = normalizeId(id);
+      if (pointId === null) {
+        throw storeError(`Unable to parse point ID: ${id}`, 400);
+      }
+      if (vector.length !== collection.vectorSize) {
+        throw storeError(
+          `Wrong input: Vector dimension error: expected dim: ${collection.vectorSize}, got ${vector.length}`,
+          400
+        );
+      }
+
+      return {
+        id: pointId,
+        vector: normalizeVector(vector),
+        sparseVector: collection.sparse ? sparseVector || null : null,
+        // Stored as JSON, so undefined fields are dropped as in Qdrant
+        payload: JSON.parse(JSON.stringify(payload || {})),
+      };
+    });
+
+    stored.forEach((point) => collection.points.set(point.id, point));
+    await this.database.save();
+  }
+
+  async deletePoints(filter) {
+    const collection = await this.getCollection();
+
+    let deleted = 0;
+    collection.points.forEach((point, id) => {
+      if (matchesFilter(point, filter)) {
+        collection.points.delete(id);
+        deleted++;
+      }
+    });
+
+    if (deleted > 0) await this.database.save();
+  }
+
+  async queryPoints({ vector, sparseVector, limit, scoreThreshold, filter }) {
+    const collection = await this.getCollection();
+    const points = [...collection.points.values()];
+    let scored;
+
+    if (sparseVector) {
+      if (!collection.sparse) {
+        throw storeError("Wrong input: Not existing vector name: text", 400);
+      }
+      scored = this.scoreSparse(points, sparseVector);
+    } else {
+      if (vector.length !== collection.vectorSize) {
+        throw storeError(
+          `Wrong input: Vector dimension error: expected dim: ${collection.vectorSize}, got ${vector.length}`,
+          400
+        );
+      }
+      const query = normalizeVector(vector);
+      scored = points.map((point) => ({
+        point,
+        score: dot(query, point.vector),
+      }));
+    }
+
+    return scored
+      .filter(
+        ({ point, score }) =>
+          (scoreThreshold === undefined ||
+            scoreThreshold === null ||
+            score >= scoreThreshold) &&
+          matchesFilter(point, filter)
+      )
+      .sort((a, b) => b.score - a.score || compareIds(a.point.id, b.point.id))
+      .slice(0, limit)
+      .map(({ point, score }) => ({
+        id: point.id,
+        score,
+        payload: point.payload,
+      }));
+  }
+
+  /**
+   * Keyword scores as Qdrant computes them for an `idf` sparse vector:
+   * the sum of query weight × stored weight × IDF over shared terms, with
+   * IDF from every point in the collection. Points sharing no term are
+   * not matches.
+   */
+  scoreSparse(points, sparseVector) {
+    const queryWeights = new Map(
+      sparseVector.indices.map((index, i) => [index, sparseVector.values[i]])
+    );
+    const documentFrequency = new Map();
+    let documentCount = 0;
+
+    points.forEach((point) => {
+      if (!point.sparseVector) return;
+      documentCount++;
+      point.sparseVector.indices.forEach((index) => {
+        if (queryWeights.has(index)) {
+          documentFrequency.set(index, (documentFrequency.get(index) || 0) + 1);
+        }
+      });
+    });
+
+    const idf = (index) => {
+      const frequency = documentFrequency.get(index);
+      return Math.log(
+        1 + (documentCount - frequency + 0.5) / (frequency + 0.5)
+      );
+    };
+
+    return points.flatMap((point) => {
+      if (!point.sparseVector) return [];
+
+      let score = 0;
+      let matched = false;
+      point.sparseVector.indices.forEach((index, i) => {
+        if (!queryWeights.has(index)) return;
+        matched = true;
+        score +=
+          queryWeights.get(index) * point.sparseVector.values[i] * idf(index);
+      });
+
+      return matched ? [{ point, score }] : [];
+    });
+  }
+
+  async scrollPoints({
+    filter,
+    limit,
+    offset,
+    fields,
+    withVectors = false,
+    orderBy,
+  }) {
+    const collection = await this.getCollection();
+
+    if (orderBy) {
+      // Like Qdrant: points without the key are skipped and there is no
+      // offset; callers continue with a range filter on the key
+      const sign = orderBy.direction === "desc" ? -1 : 1;
+      const value = (point) => point.payload[orderBy.key];
+      const matching = [...collection.points.values()]
+        .filter(
+          (point) =>
+            typeof value(point) === "number" && matchesFilter(point, filter)
+        )
+        .sort((a, b) => sign * (value(a) - value(b)) || compareIds(a.id, b.id));
+
+      return {
+        points: this.formatPoints(
+          matching.slice(0, limit),
+          fields,
+          withVectors
+        ),
+        nextOffset: null,
+      };
+    }
+
+    const start =
+      offset === null || offset === undefined ? null : normalizeId(offset);
+
+    const matching = [...collection.points.values()]
+      .filter(
+        (point) =>
+          (start === null || compareIds(point.id, start) >= 0) &&
+          matchesFilter(point, filter)
+      )
+      .sort((a, b) => compareIds(a.id, b.id));
+
+    return {
+      points: this.formatPoints(matching.slice(0, limit), fields, withVectors),
+      nextOffset: matching.length > limit ? matching[limit].id : null,
+    };
+  }
+
+  formatPoints(points, fields, withVectors) {
+    return points.map((point) => ({
+      id: point.id,
+      payload: fields ? this.pickFields(point.payload, fields) : point.payload,
+      ...(withVectors && {
+        vector: Array.from(point.vector),
+        sparseVector: point.sparseVector,
+      }),
+    }));
+  }
+
+  pickFields(payload, fields) {
+    return Object.fromEntries(
+      fields
+        .filter((field) => payload[field] !== undefined)
+        .map((field) => [field, payload[field]])
+    );
+  }
+
+  async retrievePoints(ids) {
+    const collection = await this.getCollection();
+
+    return ids
+      .map(normalizeId)
+      .filter((id) => id !== null && collection.points.has(id))
+      .map((id) => ({ id, payload: collection.points.get(id).payload }));
+  }
+}
+
+module.exports = MemoryVectorStore;
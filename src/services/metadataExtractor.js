@@ -0,0 +1,203 @@
+const cheerio = require("cheerio");
+const { normalizeLanguage } = require("./languageDetector");
+
+// JSON-LD types that describe an article page
+const ARTICLE_TYPES = new Set([
+  "Article",
+  "NewsArticle",
+  "ReportageNewsArticle",
+  "AnalysisNewsArticle",
+  "OpinionNewsArticle",
+  "BackgroundNewsArticle",
+  "ReviewNewsArticle",
+  "BlogPosting",
+  "LiveBlogPosting",
+  "TechArticle",
+]);
+
+const MAX_KEYWORDS = 20;
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function cleanText(value) {
+  return typeof value === "string"
+    ? value.replace(/\s+/g, " ").trim() || null
+    : null;
+}
+
+function isUrl(value) {
+  return /^https?:\/\//i.test(value || "");
+}
+
+function resolveUrl(href, pageUrl) {
+  if (!href) return null;
+
+  try {
+    const resolved = new URL(href.trim(), pageUrl);
+    return ["http:", "https:"].includes(resolved.protocol)
+      ? resolved.toString()
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split keyword strings ("a, b; c") and drop duplicates, case-insensitively
+ */
+function normalizeKeywords(values) {
+  const seen = new Set();
+  const keywords = [];
+
+  values
+    .flatMap((value) => (typeof value === "string" ? value.split(/[,;]/) : []))
+    .map((keyword) => keyword.trim())
+    .filter(Boolean)
+    .forEach((keyword) => {
+      if (!seen.has(keyword.toLowerCase())) {
+        seen.add(keyword.toLowerCase());
+        keywords.push(keyword);
+      }
+    });
+
+  return keywords.slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * Find the first article object among the page's JSON-LD blocks
+ */
+function findJsonLdArticle($) {
+  let article = null;
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    if (article) return;
+
+    let data;
+    try {
+      data = JSON.parse($(element).contents().text());
+    } catch {
+      return;
+    }
+
+    const nodes = asArray(data).flatMap((node) => [
+      node,
+      ...asArray(node && node["@graph"]),
+    ]);
+
+    article =
+      nodes.find(
+        (node) =>
+          node &&
+          typeof node === "object" &&
+          asArray(node["@type"]).some((type) => ARTICLE_TYPES.has(type))
+      ) || null;
+  });
+
+  return article;
+}
+
+function jsonLdAuthor(author) {
+  const names = asArray(author)
+    .map((entry) => (typeof entry === "string" ? entry : entry && entry.name))
+    .map(cleanText)
+    .filter((name) => name && !isUrl(name));
+
+  return names.length > 0 ? names.join(", ") : null;
+}
+
+function jsonLdImage(image) {
+  const first = asArray(image)[0];
+  if (!first) return null;
+  return typeof first === "string" ? first : first.url || first.contentUrl;
+}
+
+function jsonLdLanguage(language) {
+  if (!language) return null;
+  return typeof language === "string"
+    ? language
+    : language.alternateName || language.name;
+}
+
+/**
+ * Pull title, description, publish date, author, lead image, keywords,
+ * section and language from an article page. JSON-LD wins over OpenGraph,
+ * which wins over plain <meta> tags. Fields the page does not declare are
+ * null (keywords: empty list).
+ */
+function extractMetadata(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const jsonLd = findJsonLdArticle($) || {};
+
+  const meta = (selector) => cleanText($(selector).first().attr("content"));
+  const metaAll = (selector) =>
+    $(selector)
+      .map((index, element) => $(element).attr("content"))
+      .get();
+
+  const title =
+    cleanText(jsonLd.headline) ||
+    meta('meta[property="og:title"]') ||
+    cleanText($("title").first().text());
+
+  const description =
+    cleanText(jsonLd.description) ||
+    meta('meta[property="og:description"]') ||
+    meta('meta[name="description"]');
+
+  const publishedAt =
+    cleanText(jsonLd.datePublished) ||
+    meta('meta[property="article:published_time"]');
+
+  const metaAuthor = meta('meta[name="author"]');
+  const articleAuthor = meta('meta[property="article:author"]');
+
+  const author =
+    jsonLdAuthor(jsonLd.author) ||
+    metaAuthor ||
+    (isUrl(articleAuthor) ? null : articleAuthor);
+
+  const imageUrl = resolveUrl(
+    jsonLdImage(jsonLd.image) ||
+      meta('meta[property="og:image"]') ||
+      meta('meta[name="twitter:image"]') ||
+      $('link[rel="image_src"]').attr("href"),
+    pageUrl
+  );
+
+  const keywords = normalizeKeywords([
+    ...asArray(jsonLd.keywords),
+    ...metaAll('meta[property="article:tag"]'),
+    ...metaAll('meta[name="news_keywords"]'),
+    ...metaAll('meta[name="keywords"]'),
+  ]);
+
+  const section =
+    cleanText(asArray(jsonLd.articleSection)[0]) ||
+    meta('meta[property="article:section"]');
+
+  const language = normalizeLanguage(
+    jsonLdLanguage(jsonLd.inLanguage) ||
+      $("html").attr("lang") ||
+      meta('meta[http-equiv="content-language" i]') ||
+      meta('meta[property="og:locale"]')
+  );
+
+  return {
+    title,
+    description,
+    publishedAt,
+    author,
+    imageUrl,
+    keywords,
+    section,
+    language,
+  };
+}
+
+module.exports = {
+  extractMetadata,
+  normalizeKeywords,
+};
@@ -1,143 +1,330 @@
-const Parser = require("rss-parser");
-const axios = require("axios");
-const cheerio = require("cheerio");
 const fs = require("fs").promises;
 const path = require("path");
-
-const parser = new Parser({
-  timeout: 10000,
-  headers: {
-    "User-Agent": "News AI Assistant Bot 1.0",
-  },
-});
-
-// RSS feeds to scrape
-const RSS_FEEDS = [
-  "https://feeds.reuters.com/reuters/topNews",
-  "https://feeds.bbci.co.uk/news/technology/rss.xml",
-  "https://techcrunch.com/feed/",
-  "https://feeds.reuters.com/reuters/technologyNews",
-  "https://feeds.bbci.co.uk/news/business/rss.xml",
-  "http://rss.cnn.com/rss/edition.rss",
-  "https://www.theguardian.com/world/rss",
-  "https://feeds.npr.org/1001/rss.xml",
-];
-
+const FeedRegistry = require("./feedRegistry");
+const IngestionLedger = require("./ingestionLedger");
+const { getSourceAdapter } = require("./sources");
+const { extractContent } = require("./contentExtractor");
+const {
+  normalizeDate,
+  canonicalizeUrl,
+  extractCanonicalUrl,
+} = require("./normalize");
+const { extractMetadata, normalizeKeywords } = require("./metadataExtractor");
+const { detectLanguage, normalizeLanguage } = require("./languageDetector");
+const Crawler = require("./crawler");
+
+const feedRegistry = new FeedRegistry();
+const crawler = Crawler.getSharedCrawler();
+
+// Safety cap for runaway pages; articles are chunked before embedding
+const MAX_CONTENT_LENGTH = 100000;
+
+/**
+ * Download an article page and extract its main text. Returns the content
+ * with an extraction-quality score (low scores are flagged), the page's
+ * canonical URL and its metadata (author, image, keywords, language).
+ */
 async function extractArticleContent(url) {
   try {
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36",
-      },
-    });
+    const response = await crawler.fetch(url, { responseType: "text" });
 
-    const $ = cheerio.load(response.data);
-
-    // Remove script and style elements
-    $("script, style, nav, header, footer, aside").remove();
-
-    // Try to find main content
-    let content = "";
-
-    // Common selectors for article content
-    const contentSelectors = [
-      "article",
-      '[role="main"]',
-      ".article-content",
-      ".post-content",
-      ".entry-content",
-      ".content",
-      "main",
-    ];
-
-    for (const selector of contentSelectors) {
-      const element = $(selector);
-      if (element.length > 0) {
-        content = element.text().trim();
-        if (content.length > 200) break; // Found substantial content
-      }
-    }
+    // Redirects (e.g. feed click trackers) land on the real article URL
+    const finalUrl =
+      (response.request &&
+        response.request.res &&
+        response.request.res.responseUrl) ||
+      url;
 
-    // Fallback to body if no specific content found
-    if (!content || content.length < 200) {
-      content = $("body").text().trim();
-    }
+    const result = extractContent(response.data, finalUrl);
 
-    // Clean up the content
-    content = content
-      .replace(/\s+/g, " ") 
-      .replace(/\n+/g, " ") 
-      .trim();
+    if (result.lowQuality) {
+      console.warn(
+        `⚠️ Low extraction quality (${result.extractionScore}) for ${url}`
+      );
+    }
 
-    return content.substring(0, 2000); // Limit content length
+    return {
+      content: result.content.substring(0, MAX_CONTENT_LENGTH),
+      extractionScore: result.extractionScore,
+      lowQualityExtraction: result.lowQuality,
+      canonicalUrl:
+        extractCanonicalUrl(response.data, finalUrl) ||
+        canonicalizeUrl(finalUrl),
+      metadata: extractMetadata(response.data, finalUrl),
+    };
   } catch (error) {
     console.warn(`Failed to extract content from ${url}:`, error.message);
-    return "";
+    return {
+      content: "",
+      extractionScore: 0,
+      lowQualityExtraction: true,
+      canonicalUrl: null,
+      metadata: null,
+    };
   }
 }
 
-async function fetchRSSFeed(feedUrl) {
+/**
+ * Merge page metadata over what the feed supplied, falling back to
+ * detecting the language from the text
+ */
+function applyMetadata(article, metadata) {
+  const page = metadata || {};
+
+  article.author = page.author || article.author || null;
+  article.imageUrl = page.imageUrl || article.imageUrl || null;
+  article.keywords = normalizeKeywords([
+    ...(page.keywords || []),
+    ...(article.keywords || []),
+  ]);
+  article.section = page.section || article.section || null;
+  article.language =
+    page.language ||
+    normalizeLanguage(article.language) ||
+    detectLanguage(
+      [article.title, article.description, article.content].join("\n")
+    );
+
+  return article;
+}
+
+function createIngestionStats() {
+  return {
+    feeds: 0,
+    notModified: 0,
+    new: 0,
+    changed: 0,
+    skipped: 0,
+    feedErrors: [],
+  };
+}
+
+/**
+ * Download a feed with a conditional GET using the validators in the ledger.
+ * Returns null when the server answers 304 Not Modified.
+ */
+async function downloadFeed(feedEntry, ledger) {
+  const headers = {};
+  const feedState = ledger ? ledger.getFeedState(feedEntry.id) : {};
+
+  if (feedState.etag) {
+    headers["If-None-Match"] = feedState.etag;
+  }
+  if (feedState.lastModified) {
+    headers["If-Modified-Since"] = feedState.lastModified;
+  }
+
+  const response = await crawler.fetch(feedEntry.url, {
+    headers,
+    responseType: "text",
+    validateStatus: (status) =>
+      (status >= 200 && status < 300) || status === 304,
+  });
+
+  if (response.status === 304) {
+    return null;
+  }
+
+  return {
+    body: response.data,
+    etag: response.headers.etag,
+    lastModified: response.headers["last-modified"],
+  };
+}
+
+/**
+ * Fetch a feed of any supported source type (RSS/Atom, JSON Feed, news
+ * sitemap) and return its new or changed articles.
+ */
+async function fetchFeed(feedConfig, { ledger = null, stats = null } = {}) {
+  // Allow a bare URL for ad-hoc fetches outside the registry
+  const feedEntry =
+    typeof feedConfig === "string"
+      ? feedRegistry.buildFeed({ url: feedConfig })
+      : feedConfig;
+  const feedUrl = feedEntry.url;
+  const runStats = stats || createIngestionStats();
+
   try {
-    console.log(`📡 Fetching RSS feed: ${feedUrl}`);
-    const feed = await parser.parseURL(feedUrl);
-
-    const articles = [];
-
-    for (const item of feed.items.slice(0, 10)) {
-      // Limit to 10 articles per feed
-      try {
-        const article = {
-          title: item.title || "",
-          url: item.link || "",
-          publishedAt: item.pubDate || new Date().toISOString(),
-          source: feed.title || "Unknown",
-          description: item.contentSnippet || item.content || "",
-          content: "", 
-        };
-
-        // Extract full article content
-        if (article.url) {
-          article.content = await extractArticleContent(article.url);
+    const adapter = getSourceAdapter(feedEntry.type);
+
+    console.log(`📡 Fetching ${adapter.type} feed: ${feedUrl}`);
+    runStats.feeds++;
+
+    const download = await downloadFeed(feedEntry, ledger);
+    if (!download) {
+      runStats.notModified++;
+      console.log(`⏭️ Feed not modified since last run: ${feedUrl}`);
+      return [];
+    }
+
+    const entries = await adapter.parse(download.body, feedEntry);
+
+    // Articles are scraped concurrently; the crawler enforces the limits
+    const results = await Promise.all(
+      entries.slice(0, feedEntry.maxItems).map(async (entry) => {
+        try {
+          // Undated items keep a null date instead of looking brand new
+          const article = {
+            ...entry,
+            url: canonicalizeUrl(entry.url),
+            ...normalizeDate(entry.publishedAt),
+            feedId: feedEntry.id,
+            category: feedEntry.category,
+            sourceType: adapter.type,
+          };
+
+          // Skip items the ledger has already seen in this exact form
+          const itemHash = IngestionLedger.hash(
+            article.title,
+            article.description,
+            entry.publishedAt
+          );
+          const status = ledger
+            ? ledger.classifyItem(article.url, itemHash)
+            : "new";
+
+          if (status === "unchanged") {
+            runStats.skipped++;
+            return null;
+          }
+
+          // Extract full article content when the feed allows it
+          let extraction = null;
+          if (article.url && feedEntry.scrapeFullArticle) {
+            extraction = await extractArticleContent(article.url);
+
+            // Keep content shipped in the feed if the page cannot be scraped
+            article.content = extraction.content || article.content;
+            article.extractionScore = extraction.extractionScore;
+            article.lowQualityExtraction = extraction.lowQualityExtraction;
+
+            // Identity follows the URL the page declares for itself
+            if (
+              extraction.canonicalUrl &&
+              extraction.canonicalUrl !== article.url
+            ) {
+              if (ledger) ledger.setAlias(article.url, extraction.canonicalUrl);
+              article.url = extraction.canonicalUrl;
+            }
+          }
+
+          applyMetadata(article, extraction && extraction.metadata);
+
+          const contentHash = IngestionLedger.hash(
+            article.title,
+            article.description,
+            article.content
+          );
+
+          if (ledger) {
+            const sameContent = ledger.hasSameContent(article.url, contentHash);
+            // A failed scrape leaves the item hash unset, so the next run
+            // classifies the item as changed and tries the page again
+            const scrapeFailed = Boolean(extraction && !extraction.content);
+            ledger.recordArticle(article.url, {
+              itemHash: scrapeFailed ? null : itemHash,
+              contentHash,
+            });
+
+            // Feed item metadata moved but the article itself did not
+            if (sameContent) {
+              runStats.skipped++;
+              return null;
+            }
+          }
+
+          runStats[status]++;
+          return article;
+        } catch (error) {
+          console.warn(
+            `Error processing article: ${entry.title}`,
+            error.message
+          );
+          return null;
         }
+      })
+    );
 
-        articles.push(article);
-      } catch (error) {
-        console.warn(`Error processing article: ${item.title}`, error.message);
-      }
+    const articles = results.filter(Boolean);
+
+    if (ledger) {
+      ledger.setFeedState(feedEntry.id, download);
     }
 
-    console.log(`✅ Fetched ${articles.length} articles from ${feedUrl}`);
+    console.log(
+      `✅ Fetched ${articles.length} new or changed articles from ${feedUrl}`
+    );
     return articles;
   } catch (error) {
-    console.error(`❌ Error fetching RSS feed ${feedUrl}:`, error.message);
+    console.error(`❌ Error fetching feed ${feedUrl}:`, error.message);
+    runStats.feedErrors.push({
+      feedId: feedEntry.id,
+      url: feedUrl,
+      error: error.message,
+    });
     return [];
   }
 }
 
+const DATA_DIR = path.join(__dirname, "../../data");
+const CORPUS_FILE = "news_articles.json";
 
-async function saveArticles(articles, filename = "news_articles.json") {
+async function readCorpus(filename) {
   try {
-    const dataDir = path.join(__dirname, "../../data");
+    const data = await fs.readFile(path.join(DATA_DIR, filename), "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === "ENOENT") return { articles: [] };
+    throw error;
+  }
+}
 
-    try {
-      await fs.access(dataDir);
-    } catch {
-      await fs.mkdir(dataDir, { recursive: true });
-    }
+/**
+ * Articles in the corpus file, or an empty list before the first run
+ */
+async function loadSavedArticles(filename = CORPUS_FILE) {
+  return (await readCorpus(filename)).articles || [];
+}
 
-    const filePath = path.join(dataDir, filename);
+async function writeSavedArticles(articles, lastRunArticles, filename) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
 
-    // Add metadata
-    const data = {
-      lastUpdated: new Date().toISOString(),
-      totalArticles: articles.length,
-      articles: articles,
-    };
+  const filePath = path.join(DATA_DIR, filename);
+  const data = {
+    lastUpdated: new Date().toISOString(),
+    totalArticles: articles.length,
+    lastRunArticles,
+    articles,
+  };
+
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  return filePath;
+}
+
+/**
+ * Merge a run's new and changed articles into the corpus file, keyed by
+ * URL, so articles the ledger skipped stay in it. `savedAt` dates undated
+ * articles for retention.
+ */
+async function saveArticles(articles, filename = CORPUS_FILE) {
+  try {
+    const stored = await loadSavedArticles(filename);
+    const savedAt = new Date().toISOString();
 
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    console.log(`💾 Saved ${articles.length} articles to ${filePath}`);
+    const byUrl = new Map(stored.map((article) => [article.url, article]));
+    articles.forEach((article) =>
+      byUrl.set(article.url, { ...article, savedAt })
+    );
+
+    const filePath = await writeSavedArticles(
+      [...byUrl.values()],
+      articles.length,
+      filename
+    );
+    console.log(
+      `💾 Saved ${articles.length} new or changed articles to ${filePath} (${byUrl.size} in total)`
+    );
 
     return filePath;
   } catch (error) {
@@ -146,21 +333,47 @@ async function saveArticles(articles, filename = "news_articles.json") {
   }
 }
 
+/**
+ * Drop articles from the corpus file by URL. Resolves with the number
+ * removed.
+ */
+async function removeSavedArticles(urls, filename = CORPUS_FILE) {
+  try {
+    const remove = new Set(urls);
+    const corpus = await readCorpus(filename);
+    const stored = corpus.articles || [];
+    const kept = stored.filter((article) => !remove.has(article.url));
+
+    if (kept.length < stored.length) {
+      await writeSavedArticles(kept, corpus.lastRunArticles || 0, filename);
+    }
+    return stored.length - kept.length;
+  } catch (error) {
+    console.error("❌ Error pruning saved articles:", error.message);
+    throw error;
+  }
+}
 
-async function ingestNews() {
+/**
+ * Fetch new and changed articles from every enabled feed. The ledger is
+ * updated in memory only; callers save it once the articles are stored.
+ */
+async function ingestNews({ ledger = null } = {}) {
   console.log("🚀 Starting news ingestion...");
 
   try {
     const allArticles = [];
+    const feeds = await feedRegistry.getEnabledFeeds();
+    const runLedger = ledger || (await new IngestionLedger().load());
+    const stats = createIngestionStats();
 
-    // Fetch articles from all RSS feeds
-    for (const feedUrl of RSS_FEEDS) {
-      const articles = await fetchRSSFeed(feedUrl);
-      allArticles.push(...articles);
+    console.log(`📚 ${feeds.length} enabled feeds in registry`);
 
-      // Small delay between requests to be respectful
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
+    // Fetch all enabled feeds concurrently under the crawler's limits
+    const feedArticles = await Promise.all(
+      feeds.map((feed) => fetchFeed(feed, { ledger: runLedger, stats }))
+    );
+    feedArticles.forEach((articles) => allArticles.push(...articles));
 
     // Remove duplicates based on URL
     const uniqueArticles = allArticles.filter(
@@ -169,13 +382,16 @@ async function ingestNews() {
     );
 
     console.log(`📊 Total unique articles: ${uniqueArticles.length}`);
+    console.log(
+      `📊 New: ${stats.new}, changed: ${stats.changed}, skipped: ${stats.skipped}, feeds not modified: ${stats.notModified}/${stats.feeds}, feed errors: ${stats.feedErrors.length}`
+    );
 
-    // Save to JSON file
+    // Merge into the JSON corpus file
     await saveArticles(uniqueArticles);
 
     console.log("✅ News ingestion completed successfully!");
 
-    return uniqueArticles;
+    return { articles: uniqueArticles, stats, ledger: runLedger };
   } catch (error) {
     console.error("❌ News ingestion failed:", error.message);
     throw error;
@@ -185,6 +401,8 @@ async function ingestNews() {
 // Run ingestion if this file is executed directly
 if (require.main === module) {
   ingestNews()
+    // Keep feed validators and item hashes for the next run
+    .then(({ ledger }) => ledger.save())
     .then(() => process.exit(0))
     .catch((error) => {
       console.error("Fatal error:", error);
@@ -194,7 +412,11 @@ if (require.main === module) {
 
 module.exports = {
   ingestNews,
-  fetchRSSFeed,
+  fetchFeed,
+  // Kept for callers written before non-RSS sources existed
+  fetchRSSFeed: fetchFeed,
   extractArticleContent,
   saveArticles,
+  loadSavedArticles,
+  removeSavedArticles,
 };
@@ -0,0 +1,182 @@
+const cheerio = require("cheerio");
+
+// Query parameters that only track campaigns or clicks
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "ocid",
+  "cmpid",
+  "ncid",
+  "cmp",
+]);
+const TRACKING_PARAM_PREFIXES = ["utm_", "at_"];
+
+// Known mobile and AMP hosts and their desktop host. Other sites are left
+// alone (many have no www. host); the page's rel=canonical covers them.
+const MOBILE_HOSTS = {
+  "m.bbc.co.uk": "www.bbc.co.uk",
+  "m.bbc.com": "www.bbc.com",
+  "amp.theguardian.com": "www.theguardian.com",
+  "mobile.nytimes.com": "www.nytimes.com",
+};
+
+// Publish dates further ahead than this are treated as unknown
+const MAX_FUTURE_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Zone abbreviations Date.parse does not understand
+const TIMEZONE_OFFSETS = {
+  BST: "+0100",
+  IST: "+0530",
+  CET: "+0100",
+  CEST: "+0200",
+  EET: "+0200",
+  EEST: "+0300",
+  JST: "+0900",
+  AEST: "+1000",
+  AEDT: "+1100",
+};
+
+/**
+ * Parse a feed date into ISO-8601 UTC. Returns the ISO string and the
+ * original value; `publishedAt` is null when the date is missing or
+ * cannot be trusted.
+ */
+function normalizeDate(value, now = Date.now()) {
+  const raw =
+    value === undefined || value === null || value === ""
+      ? null
+      : String(value).trim();
+
+  if (!raw) {
+    return { publishedAt: null, publishedAtRaw: null };
+  }
+
+  let time;
+  if (/^\d{10}(\d{3})?$/.test(raw)) {
+    // Unix timestamps in seconds or milliseconds
+    time = raw.length === 10 ? Number(raw) * 1000 : Number(raw);
+  } else {
+    let text = raw.replace(
+      /\b([A-Z]{3,4})$/,
+      (zone) => TIMEZONE_OFFSETS[zone] || zone
+    );
+
+    // "2024-05-01 10:00:00" without a zone is read as UTC, not local time
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+      text = `${text.replace(" ", "T")}Z`;
+    }
+
+    time = Date.parse(text);
+  }
+
+  if (Number.isNaN(time) || time > now + MAX_FUTURE_SKEW_MS) {
+    return { publishedAt: null, publishedAtRaw: raw };
+  }
+
+  return { publishedAt: new Date(time).toISOString(), publishedAtRaw: raw };
+}
+
+function isTrackingParam(name) {
+  return (
+    TRACKING_PARAMS.has(name.toLowerCase()) ||
+    TRACKING_PARAM_PREFIXES.some((prefix) =>
+      name.toLowerCase().startsWith(prefix)
+    )
+  );
+}
+
+/**
+ * Canonical form of an article URL: tracking parameters and fragments
+ * removed, mobile/AMP variants mapped to the desktop page, remaining
+ * parameters sorted. Invalid URLs are returned unchanged.
+ */
+function canonicalizeUrl(url) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return url;
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return url;
+  }
+
+  // Google AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/a
+  if (parsed.hostname.endsWith(".cdn.ampproject.org")) {
+    const match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+    if (match) {
+      return canonicalizeUrl(
+        `${match[1] ? "https" : "http"}://${match[2]}${parsed.search}`
+      );
+    }
+  }
+
+  parsed.hash = "";
+  const hostname = parsed.hostname.toLowerCase();
+  parsed.hostname = MOBILE_HOSTS[hostname] || hostname;
+
+  // AMP path variants: /amp, /amp/, /story.amp, /story.amp.html
+  parsed.pathname =
+    parsed.pathname
+      .replace(/\/amp\/?$/i, "")
+      .replace(/\.amp(\.html?)?$/i, (match, ext) => ext || "") || "/";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name, value]) => {
+      if (isTrackingParam(name)) return false;
+      if (name === "amp" || (name === "outputType" && value === "amp")) {
+        return false;
+      }
+      return true;
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString();
+}
+
+/**
+ * Read the canonical URL an article page declares, via
+ * <link rel="canonical"> or og:url. Canonicals that point at the site's
+ * home page are ignored as misconfigured.
+ */
+function extractCanonicalUrl(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const candidates = [
+    $('link[rel~="canonical"]').attr("href"),
+    $('meta[property="og:url"]').attr("content"),
+  ];
+
+  for (const href of candidates) {
+    if (!href) continue;
+
+    try {
+      const resolved = new URL(href.trim(), pageUrl);
+      if (!["http:", "https:"].includes(resolved.protocol)) continue;
+      if (resolved.pathname === "/" && new URL(pageUrl).pathname !== "/") {
+        continue;
+      }
+      return canonicalizeUrl(resolved.toString());
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeDate,
+  canonicalizeUrl,
+  extractCanonicalUrl,
+};
@@ -0,0 +1,98 @@
+const cheerio = require("cheerio");
+const { SOURCE_TYPES } = require("./sources");
+
+function escapeXml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Parse an OPML document into feed entries ({ url, name, category }).
+ * Feeds nested under a folder outline take the folder name as category.
+ */
+function parseOPML(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  if ($("opml").length === 0) {
+    throw new Error("Document is not valid OPML");
+  }
+
+  const feeds = [];
+
+  $("outline[xmlUrl]").each((index, element) => {
+    const outline = $(element);
+    const folder = outline.parent("outline");
+
+    const category =
+      outline.attr("category") ||
+      (folder.length > 0 ? folder.attr("text") || folder.attr("title") : "");
+
+    const type = (outline.attr("type") || "").toLowerCase();
+
+    feeds.push({
+      url: outline.attr("xmlUrl").trim(),
+      type: SOURCE_TYPES.includes(type) ? type : "rss",
+      name: outline.attr("title") || outline.attr("text") || undefined,
+      category: category ? category.trim().toLowerCase() : undefined,
+    });
+  });
+
+  return feeds;
+}
+
+/**
+ * Build an OPML document from registry feeds, grouped by category
+ */
+function buildOPML(feeds, title = "News AI Assistant Feeds") {
+  const byCategory = new Map();
+
+  feeds.forEach((feed) => {
+    const category = feed.category || "general";
+    if (!byCategory.has(category)) {
+      byCategory.set(category, []);
+    }
+    byCategory.get(category).push(feed);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+  ];
+
+  for (const [category, categoryFeeds] of byCategory) {
+    lines.push(
+      `    <outline text="${escapeXml(category)}" title="${escapeXml(
+        category
+      )}">`
+    );
+
+    categoryFeeds.forEach((feed) => {
+      lines.push(
+        `      <outline type="${escapeXml(
+          feed.type || "rss"
+        )}" text="${escapeXml(feed.name)}" title="${escapeXml(
+          feed.name
+        )}" xmlUrl="${escapeXml(feed.url)}" category="${escapeXml(category)}"/>`
+      );
+    });
+
+    lines.push("    </outline>");
+  }
+
+  lines.push("  </body>", "</opml>");
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  parseOPML,
+  buildOPML,
+};
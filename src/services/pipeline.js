@@ -1,65 +1,150 @@
 const { ingestNews } = require("./newsIngestion");
-const JinaEmbeddings = require("./embeddings");
-const VectorStore = require("./vectorStore");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { createVectorStore } = require("./vectorStores");
+const { assignStoryClusters } = require("./dedupe");
+const { purgeExpiredArticles } = require("./retention");
 require("dotenv").config();
 
 class NewsPipeline {
   constructor() {
-    this.embeddings = new JinaEmbeddings(process.env.JINA_API_KEY);
-    this.vectorStore = new VectorStore(); // Will use environment variables
+    this.embeddings = createEmbeddingProvider();
+    this.vectorStore = createVectorStore({
+      vectorSize: this.embeddings.dimension,
+      embeddingModel: this.embeddings.model,
+    });
   }
 
+  /**
+   * Ingest, dedupe, embed, store and purge once. If a step throws, the
+   * error carries what the earlier steps did as `partialResult`.
+   */
   async runPipeline() {
+    const progress = {};
+
     try {
       console.log("🚀 Starting complete news pipeline...\n");
 
       // Step 1: Ingest news articles
       console.log("📰 Step 1: Ingesting news articles...");
-      const articles = await ingestNews();
+      const { articles, stats, ledger } = await ingestNews();
+      progress.ingestion = stats;
+      progress.ingested = articles.length;
+
+      console.log(
+        `✅ Ingested ${articles.length} articles (${stats.new} new, ${stats.changed} changed, ${stats.skipped} skipped)\n`
+      );
 
       if (articles.length === 0) {
-        throw new Error("No articles were ingested");
+        // Nothing new to embed, but keep the updated feed validators
+        await ledger.save();
+
+        // Old articles still expire on runs that add nothing
+        const retention = await this.applyRetention();
+        console.log("\n🎉 Pipeline completed: no new or changed articles");
+
+        return {
+          ingested: 0,
+          embedded: 0,
+          stored: 0,
+          purged: retention.deleted,
+          ingestion: stats,
+        };
       }
 
-      console.log(`✅ Ingested ${articles.length} articles\n`);
-
-      // Step 2: Generate embeddings
-      console.log("🧠 Step 2: Generating embeddings...");
-      const articlesWithEmbeddings = await this.embeddings.embedArticles(
-        articles
+      // Step 2: Cluster near-duplicate and syndicated stories
+      console.log("🧬 Step 2: Detecting near-duplicate stories...");
+      const clustering = assignStoryClusters(articles, ledger, (url) =>
+        this.vectorStore.generateId(url)
       );
+      progress.duplicates = clustering.duplicates;
+      console.log(`✅ Found ${clustering.duplicates} near-duplicates\n`);
+
+      // Step 3: Generate embeddings
+      console.log("🧠 Step 3: Generating embeddings...");
+      const cacheBefore = this.getCacheCounts();
+      const { articles: articlesWithEmbeddings, failed } =
+        await this.embeddings.embedArticles(articles);
+      const cacheAfter = this.getCacheCounts();
+      const embeddingCache = cacheAfter && {
+        hits: cacheAfter.hits - cacheBefore.hits,
+        misses: cacheAfter.misses - cacheBefore.misses,
+      };
+      Object.assign(progress, {
+        embedded: articlesWithEmbeddings.length,
+        embedFailed: failed.length,
+        embedErrors: failed.map(({ article, error }) => ({
+          url: article.url,
+          error,
+        })),
+        embeddingCache,
+      });
 
       console.log(
-        `✅ Generated embeddings for ${articlesWithEmbeddings.length} articles\n`
+        `✅ Generated embeddings for ${articlesWithEmbeddings.length} articles${
+          embeddingCache
+            ? ` (cache: ${embeddingCache.hits} hits, ${embeddingCache.misses} misses)`
+            : ""
+        }\n`
       );
 
-      // Step 3: Store in vector database
-      console.log("💾 Step 3: Storing in vector database...");
+      // Articles that failed to embed are retried on the next run
+      failed.forEach(({ article }) => ledger.invalidateArticle(article.url));
+
+      // Step 4: Store in vector database
+      console.log("💾 Step 4: Storing in vector database...");
       const storedCount = await this.vectorStore.addArticles(
         articlesWithEmbeddings
       );
 
+      progress.stored = storedCount;
       console.log(`✅ Stored ${storedCount} articles in vector database\n`);
 
-      // Step 4: Get collection info
-      console.log("📊 Step 4: Collection info...");
+      // Only mark articles as seen once they are safely stored
+      await ledger.save();
+
+      // Step 5: Expire old articles
+      console.log("🧹 Step 5: Applying retention policy...");
+      const retention = await this.applyRetention();
+
+      // Step 6: Get collection info
+      console.log("📊 Step 6: Collection info...");
       const info = await this.vectorStore.getCollectionInfo();
       console.log("Collection Info:", JSON.stringify(info, null, 2));
 
       console.log("\n🎉 Pipeline completed successfully!");
 
       return {
-        ingested: articles.length,
-        embedded: articlesWithEmbeddings.length,
-        stored: storedCount,
+        ...progress,
+        purged: retention.deleted,
         collectionInfo: info,
       };
     } catch (error) {
       console.error("❌ Pipeline failed:", error.message);
+      if (progress.ingestion) error.partialResult = progress;
       throw error;
     }
   }
 
+  /**
+   * Embedding cache hits and misses so far, or null when caching is off
+   */
+  getCacheCounts() {
+    return this.embeddings.cache
+      ? { hits: this.embeddings.hits, misses: this.embeddings.misses }
+      : null;
+  }
+
+  /**
+   * Delete articles that fall outside the retention policy
+   */
+  async applyRetention() {
+    const retention = await purgeExpiredArticles({
+      vectorStore: this.vectorStore,
+    });
+    console.log(`✅ Purged ${retention.deleted} expired articles\n`);
+    return retention;
+  }
+
   async testSearch(query = "artificial intelligence news") {
     try {
       console.log(`🔍 Testing search with query: "${query}"`);
@@ -69,10 +154,10 @@ class NewsPipeline {
       const queryEmbedding = queryResult.embedding;
 
       // Search for similar articles
-      const results = await this.vectorStore.searchSimilar(
+      const results = await this.vectorStore.searchArticles(
         queryEmbedding,
         5,
-        0.6
+        this.embeddings.similarityThreshold
       );
 
       console.log(`\n📋 Search Results (${results.length} found):`);
@@ -82,9 +167,9 @@ class NewsPipeline {
         console.log(`   Score: ${result.score.toFixed(3)}`);
         console.log(`   URL: ${result.url}`);
         console.log(`   Published: ${result.publishedAt}`);
-        if (result.description) {
+        if (result.passages.length > 0) {
           console.log(
-            `   Description: ${result.description.substring(0, 150)}...`
+            `   Passage: ${result.passages[0].text.substring(0, 150)}...`
           );
         }
       });
@@ -98,11 +183,21 @@ class NewsPipeline {
 }
 
 if (require.main === module) {
+  const IngestionScheduler = require("./ingestionScheduler");
   const pipeline = new NewsPipeline();
 
-  pipeline
-    .runPipeline()
-    .then(() => {
+  // Share the scheduler's lock and run history with the server
+  const scheduler = new IngestionScheduler({
+    schedule: null,
+    createPipeline: () => pipeline,
+  });
+
+  scheduler
+    .runNow({ trigger: "cli" })
+    .then((run) => {
+      if (!run) {
+        throw new Error("Another ingestion run is in progress");
+      }
       console.log("\n🧪 Running search test...");
       return pipeline.testSearch();
     })
@@ -0,0 +1,340 @@
+const { QdrantClient } = require("@qdrant/js-client-rest");
+const VectorStore = require("./vectorStore");
+require("dotenv").config();
+
+// Payload fields indexed for filtering
+const PAYLOAD_INDEXES = {
+  articleId: "keyword",
+  clusterId: "keyword",
+  chunkIndex: "integer",
+  sourceType: "keyword",
+  source: "keyword",
+  category: "keyword",
+  language: "keyword",
+  feedId: "keyword",
+  publishedTimestamp: "integer",
+};
+
+// Named sparse vector holding BM25 keyword weights for each chunk
+const SPARSE_VECTOR = "text";
+
+// Collection model/dimension records, one point per physical collection
+const METADATA_COLLECTION = "news_articles_meta";
+
+/**
+ * Vector store backed by a Qdrant cluster (QDRANT_URL, QDRANT_API_KEY)
+ */
+class QdrantVectorStore extends VectorStore {
+  constructor(options = {}) {
+    super({ ...options, backend: "qdrant" });
+
+    // Use environment variables for Qdrant connection
+    this.client = new QdrantClient({
+      url: process.env.QDRANT_URL,
+      apiKey: process.env.QDRANT_API_KEY,
+    });
+    this.sparseCheckedAt = 0;
+    this.sparseIndex = false;
+  }
+
+  async lookupCollection(name) {
+    const { aliases } = await this.client.getAliases();
+    const alias = aliases.find((entry) => entry.alias_name === name);
+    if (alias) return alias.collection_name;
+
+    const { exists } = await this.client.collectionExists(name);
+    return exists ? name : null;
+  }
+
+  async prepareCollection(name) {
+    await this.ensurePayloadIndexes(name);
+  }
+
+  /**
+   * Create a physical collection for this store's model and dimension, with
+   * its payload indexes and metadata record
+   */
+  async createCollection(name = this.collectionName) {
+    await this.client.createCollection(name, {
+      vectors: {
+        size: this.vectorSize,
+        distance: "Cosine",
+      },
+      // Qdrant applies IDF from collection statistics at query time
+      sparse_vectors: {
+        [SPARSE_VECTOR]: { modifier: "idf" },
+      },
+    });
+    await this.ensurePayloadIndexes(name);
+    await this.setCollectionMetadata(name, {
+      embeddingModel: this.embeddingModel,
+      dimension: this.vectorSize,
+    });
+
+    return name;
+  }
+
+  async ensureMetadataCollection() {
+    const { exists } = await this.client.collectionExists(METADATA_COLLECTION);
+    if (!exists) {
+      await this.client.createCollection(METADATA_COLLECTION, {
+        vectors: { size: 1, distance: "Dot" },
+      });
+    }
+  }
+
+  async setCollectionMetadata(name, { embeddingModel, dimension }) {
+    await this.ensureMetadataCollection();
+    await this.client.upsert(METADATA_COLLECTION, {
+      wait: true,
+      points: [
+        {
+          id: this.generateId(name),
+          vector: [1],
+          payload: {
+            collection: name,
+            embeddingModel,
+            dimension,
+            recordedAt: new Date().toISOString(),
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * The embedding model and dimension a physical collection was built
+   * with. Collections created before this was recorded are inspected once
+   * and recorded; an empty one has no model yet and returns null.
+   */
+  async getCollectionMetadata(name) {
+    await this.ensureMetadataCollection();
+    const [point] = await this.client.retrieve(METADATA_COLLECTION, {
+      ids: [this.generateId(name)],
+      with_payload: true,
+      with_vector: false,
+    });
+    if (point) return point.payload;
+
+    const info = await this.client.getCollection(name);
+    const vectors = info.config.params.vectors;
+    const { points } = await this.client.scroll(name, {
+      limit: 1,
+      with_payload: ["embeddingModel"],
+      with_vector: false,
+    });
+    if (points.length === 0) return null;
+
+    const metadata = {
+      // Points stored before the model was recorded used the default
+      embeddingModel: points[0].payload.embeddingModel || this.embeddingModel,
+      dimension: vectors && vectors.size,
+    };
+    await this.setCollectionMetadata(name, metadata);
+    console.log(
+      `📝 Recorded ${name} as ${metadata.embeddingModel} (${metadata.dimension} dimensions)`
+    );
+
+    return metadata;
+  }
+
+  /**
+   * Whether the collection has the keyword (sparse) index. Cached like the
+   * model check.
+   */
+  async hasSparseIndex() {
+    if (Date.now() - this.sparseCheckedAt < VectorStore.MODEL_CHECK_TTL_MS) {
+      return this.sparseIndex;
+    }
+
+    const physicalName = await this.resolveCollection();
+    const info =
+      physicalName && (await this.client.getCollection(physicalName));
+    const sparseVectors = info && info.config.params.sparse_vectors;
+
+    this.sparseIndex = Boolean(sparseVectors && sparseVectors[SPARSE_VECTOR]);
+    this.sparseCheckedAt = Date.now();
+    return this.sparseIndex;
+  }
+
+  /**
+   * Point the alias at another physical collection in one atomic update.
+   * Returns the collection it pointed at before, or null.
+   */
+  async switchAlias(targetCollection) {
+    const previous = await this.lookupCollection(this.collectionName);
+    if (previous === this.collectionName) {
+      throw new Error(
+        `${previous} is a collection, not an alias; set VECTOR_STORE_ALIAS to another name`
+      );
+    }
+
+    const actions = [];
+    if (previous) {
+      actions.push({ delete_alias: { alias_name: this.collectionName } });
+    }
+
+    actions.push({
+      create_alias: {
+        collection_name: targetCollection,
+        alias_name: this.collectionName,
+      },
+    });
+    await this.client.updateCollectionAliases({ actions });
+    this.modelCheckedAt = 0;
+    this.sparseCheckedAt = 0;
+
+    console.log(`🔀 ${this.collectionName} now points to ${targetCollection}`);
+    return previous;
+  }
+
+  async deleteCollectionMetadata(name) {
+    await this.ensureMetadataCollection();
+    await this.client.delete(METADATA_COLLECTION, {
+      wait: true,
+      points: [this.generateId(name)],
+    });
+  }
+
+  async dropCollection(name) {
+    await this.client.deleteCollection(name);
+  }
+
+  async getCollectionStats(name) {
+    const info = await this.client.getCollection(name);
+    return {
+      vectorsCount: info.vectors_count,
+      indexedVectorsCount: info.indexed_vectors_count,
+      pointsCount: info.points_count,
+      segmentsCount: info.segments_count,
+      config: info.config,
+    };
+  }
+
+  /**
+   * Create payload indexes used by filters (no-op when they already exist)
+   */
+  async ensurePayloadIndexes(name = this.collectionName) {
+    for (const [fieldName, fieldSchema] of Object.entries(PAYLOAD_INDEXES)) {
+      await this.client.createPayloadIndex(name, {
+        field_name: fieldName,
+        field_schema: fieldSchema,
+        wait: true,
+      });
+    }
+  }
+
+  /**
+   * Dense and keyword vectors keyed by vector name ("" is the collection's
+   * unnamed dense vector)
+   */
+  toQdrantPoint({ id, vector, sparseVector, payload }) {
+    return {
+      id,
+      vector: sparseVector
+        ? { "": vector, [SPARSE_VECTOR]: sparseVector }
+        : vector,
+      payload,
+    };
+  }
+
+  async upsertPoints(points) {
+    await this.client.upsert(this.collectionName, {
+      wait: true,
+      points: points.map((point) => this.toQdrantPoint(point)),
+    });
+  }
+
+  async deletePoints(filter) {
+    await this.client.delete(this.collectionName, {
+      wait: true,
+      // An empty filter deletes all points
+      filter,
+    });
+  }
+
+  toSearchRequest({ vector, sparseVector, limit, scoreThreshold, filter }) {
+    return {
+      vector: sparseVector
+        ? { name: SPARSE_VECTOR, vector: sparseVector }
+        : vector,
+      limit,
+      score_threshold: scoreThreshold,
+      filter: filter || undefined,
+      with_payload: true,
+      with_vector: false,
+    };
+  }
+
+  async queryPoints(request) {
+    return this.client.search(
+      this.collectionName,
+      this.toSearchRequest(request)
+    );
+  }
+
+  async queryPointsBatch(requests) {
+    return this.client.searchBatch(this.collectionName, {
+      searches: requests.map((request) => this.toSearchRequest(request)),
+    });
+  }
+
+  async scrollPoints({
+    filter,
+    limit,
+    offset,
+    fields,
+    withVectors = false,
+    orderBy,
+  }) {
+    const page = await this.client.scroll(this.collectionName, {
+      filter: filter || undefined,
+      limit,
+      offset: offset ?? undefined,
+      // Ordering needs a range index on the key (see PAYLOAD_INDEXES)
+      order_by: orderBy || undefined,
+      with_payload: fields || true,
+      with_vector: withVectors,
+    });
+
+    return {
+      points: withVectors
+        ? page.points.map((point) => ({
+            id: point.id,
+            payload: point.payload,
+            ...this.fromQdrantVectors(point.vector),
+          }))
+        : page.points,
+      nextOffset: page.next_page_offset,
+    };
+  }
+
+  /**
+   * Split a stored point's vectors into the dense and keyword vector
+   * (collections without a keyword index return the dense vector alone)
+   */
+  fromQdrantVectors(vector) {
+    if (Array.isArray(vector)) return { vector, sparseVector: null };
+
+    return {
+      vector: vector[""],
+      sparseVector: vector[SPARSE_VECTOR] || null,
+    };
+  }
+
+  async retrievePoints(ids) {
+    try {
+      return await this.client.retrieve(this.collectionName, {
+        ids,
+        with_payload: true,
+        with_vector: false,
+      });
+    } catch (error) {
+      // Qdrant rejects IDs that are not UUIDs or integers
+      if (error.status === 400) return [];
+      throw error;
+    }
+  }
+}
+
+module.exports = QdrantVectorStore;
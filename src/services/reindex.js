@@ -0,0 +1,127 @@
+const { createVectorStore } = require("./vectorStores");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const IngestionScheduler = require("./ingestionScheduler");
+
+// Articles embedded and stored per step
+const REINDEX_BATCH_SIZE = 100;
+
+// Per-chunk payload fields that are rebuilt rather than copied
+const CHUNK_FIELDS = [
+  "articleId",
+  "chunkIndex",
+  "chunkCount",
+  "chunkText",
+  "embeddingModel",
+];
+
+/**
+ * Rebuild an article from the payload of its first chunk
+ */
+function articleFromPayload(payload) {
+  const article = { ...payload };
+  CHUNK_FIELDS.forEach((field) => delete article[field]);
+  return article;
+}
+
+/**
+ * Re-embed every stored article with the configured embedding provider into
+ * a new collection, then switch the alias to it in one step. Chat keeps
+ * reading the old collection until the switch. Ingestion is locked out for
+ * the duration so no article lands in the old collection mid-way.
+ */
+async function reindexCollection({
+  batchSize = REINDEX_BATCH_SIZE,
+  keepOld = false,
+  allowFailures = false,
+  embeddings = createEmbeddingProvider(),
+  scheduler = new IngestionScheduler({ schedule: null }),
+} = {}) {
+  const live = createVectorStore({
+    vectorSize: embeddings.dimension,
+    embeddingModel: embeddings.model,
+  });
+
+  const source = await live.resolveCollection();
+  if (!source) {
+    throw new Error(`Collection ${live.collectionName} does not exist`);
+  }
+
+  if (!(await scheduler.acquireLock())) {
+    throw new Error("An ingestion run is in progress; try again later");
+  }
+
+  const target = `${live.collectionName}_${Date.now()}`;
+  const targetStore = live.forCollection(target);
+  let switched = false;
+
+  try {
+    console.log(
+      `🔁 Re-indexing ${source} into ${target} with ${embeddings.model} (${embeddings.dimension} dimensions)`
+    );
+
+    const articles = await live.forCollection(source).scrollArticles(null);
+
+    await targetStore.createCollection();
+
+    let stored = 0;
+    const failed = [];
+
+    for (let i = 0; i < articles.length; i += batchSize) {
+      const batch = articles.slice(i, i + batchSize).map(articleFromPayload);
+      const result = await embeddings.embedArticles(batch);
+
+      stored += await targetStore.addArticles(result.articles);
+      result.failed.forEach(({ article, error }) =>
+        failed.push({ url: article.url, error })
+      );
+
+      console.log(
+        `📦 Re-indexed ${Math.min(i + batchSize, articles.length)}/${
+          articles.length
+        } articles`
+      );
+    }
+
+    if (failed.length > 0 && !allowFailures) {
+      throw new Error(
+        `${failed.length} articles failed to embed; rerun, or pass allowFailures to switch without them`
+      );
+    }
+
+    const previous = await live.switchAlias(target);
+    switched = true;
+
+    if (previous && !keepOld) {
+      await live.deleteCollection(previous);
+    }
+
+    return {
+      source,
+      target,
+      embeddingModel: embeddings.model,
+      dimension: embeddings.dimension,
+      scanned: articles.length,
+      stored,
+      failed,
+      keptOld: Boolean(previous && keepOld),
+    };
+  } catch (error) {
+    console.error("Re-index failed:", error.message);
+
+    // The alias still points at the old collection; drop the partial copy
+    if (!switched) {
+      await targetStore
+        .deleteCollection(target)
+        .catch((cleanupError) =>
+          console.error(`Could not delete ${target}:`, cleanupError.message)
+        );
+    }
+    throw error;
+  } finally {
+    await scheduler.releaseLock();
+  }
+}
+
+module.exports = {
+  reindexCollection,
+};
@@ -0,0 +1,186 @@
+const { createVectorStore } = require("./vectorStores");
+const FeedRegistry = require("./feedRegistry");
+const { loadSavedArticles, removeSavedArticles } = require("./newsIngestion");
+require("dotenv").config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Global retention policy from the environment. Unset limits are null.
+ */
+function getRetentionPolicy(overrides = {}) {
+  const maxAgeDays =
+    overrides.maxAgeDays ??
+    (parseFloat(process.env.RETENTION_MAX_AGE_DAYS) || null);
+  const maxArticles =
+    overrides.maxArticles ??
+    (parseInt(process.env.RETENTION_MAX_ARTICLES) || null);
+
+  return { maxAgeDays, maxArticles };
+}
+
+/**
+ * Age reference for an article: its publish date, else when it was indexed
+ */
+function articleTimestamp(article) {
+  for (const value of [article.publishedAt, article.indexedAt]) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return null;
+}
+
+/**
+ * Pick the articles a policy expires. A feed's `retentionDays` replaces
+ * the global maximum age for that feed; the article cap then keeps the
+ * newest articles across all feeds. Undated articles age from when they
+ * were indexed. Uploaded documents are never purged and do not count
+ * towards the cap.
+ */
+function selectExpired(
+  articles,
+  { maxAgeDays = null, maxArticles = null, feedRetentionDays = {} },
+  now = Date.now()
+) {
+  const expired = new Map();
+  const kept = [];
+
+  articles.forEach((article) => {
+    if (article.sourceType === "upload") return;
+
+    const timestamp = articleTimestamp(article);
+    const retentionDays = feedRetentionDays[article.feedId] || maxAgeDays;
+
+    if (
+      retentionDays &&
+      timestamp !== null &&
+      now - timestamp > retentionDays * DAY_MS
+    ) {
+      expired.set(article.articleId, {
+        ...article,
+        reason: `older than ${retentionDays} days`,
+      });
+    } else {
+      kept.push({ article, timestamp });
+    }
+  });
+
+  if (maxArticles && kept.length > maxArticles) {
+    kept
+      .sort((a, b) => (b.timestamp ?? -Infinity) - (a.timestamp ?? -Infinity))
+      .slice(maxArticles)
+      .forEach(({ article }) => {
+        expired.set(article.articleId, {
+          ...article,
+          reason: `beyond the newest ${maxArticles} articles`,
+        });
+      });
+  }
+
+  return [...expired.values()];
+}
+
+/**
+ * Apply the policy to the JSON corpus file (data/news_articles.json), which
+ * otherwise keeps every article ever ingested. Resolves with the number of
+ * articles removed.
+ */
+async function pruneSavedArticles(policy, now = Date.now()) {
+  const saved = (await loadSavedArticles()).map((article) => ({
+    ...article,
+    articleId: article.url,
+    indexedAt: article.savedAt,
+  }));
+  const expired = selectExpired(saved, policy, now);
+
+  return expired.length > 0
+    ? removeSavedArticles(expired.map((article) => article.url))
+    : 0;
+}
+
+/**
+ * Delete expired articles from the vector store and the JSON corpus. With `dryRun` nothing is
+ * deleted and the articles that would be removed are returned.
+ */
+async function purgeExpiredArticles({
+  dryRun = false,
+  policy = getRetentionPolicy(),
+  vectorStore = createVectorStore(),
+  feedRegistry = new FeedRegistry(),
+} = {}) {
+  try {
+    const feedRetentionDays = {};
+    (await feedRegistry.getAllFeeds()).forEach((feed) => {
+      if (feed.retentionDays) {
+        feedRetentionDays[feed.id] = feed.retentionDays;
+      }
+    });
+
+    const hasPolicy =
+      policy.maxAgeDays ||
+      policy.maxArticles ||
+      Object.keys(feedRetentionDays).length > 0;
+
+    if (!hasPolicy) {
+      console.log("⏭️ No retention policy configured, nothing to purge");
+      return {
+        dryRun,
+        policy: { ...policy, feedRetentionDays },
+        scanned: 0,
+        expired: [],
+        deleted: 0,
+        corpusPruned: 0,
+      };
+    }
+
+    console.log(`🧹 Applying retention policy${dryRun ? " (dry run)" : ""}...`);
+
+    const articles = await vectorStore.scrollArticles([
+      "title",
+      "url",
+      "source",
+      "feedId",
+      "sourceType",
+      "publishedAt",
+      "indexedAt",
+    ]);
+    const expired = selectExpired(articles, { ...policy, feedRetentionDays });
+
+    let deleted = 0;
+    let pruned = 0;
+    if (!dryRun) {
+      if (expired.length > 0) {
+        deleted = await vectorStore.deleteArticles(
+          expired.map((article) => article.articleId)
+        );
+      }
+      pruned = await pruneSavedArticles({ ...policy, feedRetentionDays });
+    }
+
+    console.log(
+      `✅ ${expired.length} of ${articles.length} articles expired${
+        dryRun
+          ? " (dry run, nothing deleted)"
+          : `, ${deleted} deleted, ${pruned} pruned from the JSON corpus`
+      }`
+    );
+
+    return {
+      dryRun,
+      policy: { ...policy, feedRetentionDays },
+      scanned: articles.length,
+      expired,
+      deleted,
+      corpusPruned: pruned,
+    };
+  } catch (error) {
+    console.error("Error purging expired articles:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  getRetentionPolicy,
+  selectExpired,
+  purgeExpiredArticles,
+};
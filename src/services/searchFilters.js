@@ -0,0 +1,186 @@
+const { normalizeLanguage } = require("./languageDetector");
+
+// Keyword filters: request field → payload field
+const KEYWORD_FILTERS = {
+  sources: "source",
+  categories: "category",
+  languages: "language",
+  feedIds: "feedId",
+  sourceTypes: "sourceType",
+};
+
+const MAX_FILTER_VALUES = 50;
+
+const RELATIVE_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = "INVALID_FILTERS";
+  return error;
+}
+
+function toList(name, value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (
+    values.length > MAX_FILTER_VALUES ||
+    values.some((item) => typeof item !== "string" || !item.trim())
+  ) {
+    throw invalid(
+      `${name} must be a string or a list of up to ${MAX_FILTER_VALUES} strings`
+    );
+  }
+
+  return [...new Set(values.map((item) => item.trim()))];
+}
+
+function parseDate(name, value) {
+  const time = typeof value === "number" ? value : Date.parse(value);
+  if (typeof value === "boolean" || Number.isNaN(time)) {
+    throw invalid(`${name} must be an ISO-8601 date or a timestamp`);
+  }
+  return time;
+}
+
+/**
+ * Validate and normalize search filters from a request:
+ *
+ *   { sources, categories, languages, feedIds, sourceTypes, from, to, since }
+ *
+ * Keyword filters take a string or a list (any value matches). `from`/`to`
+ * bound the publish date; `since` is a relative window such as "48h",
+ * "7d" or "2w". Returns null when no filter is set; throws an error with
+ * code INVALID_FILTERS otherwise.
+ */
+function parseSearchFilters(input, now = Date.now()) {
+  if (input === undefined || input === null) return null;
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("filters must be an object");
+  }
+
+  const known = [...Object.keys(KEYWORD_FILTERS), "from", "to", "since"];
+  const unknown = Object.keys(input).filter((key) => !known.includes(key));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown filters: ${unknown.join(", ")}`);
+  }
+
+  const filters = {};
+
+  Object.keys(KEYWORD_FILTERS).forEach((name) => {
+    if (input[name] === undefined || input[name] === null) return;
+    filters[name] = toList(name, input[name]);
+  });
+
+  if (filters.languages) {
+    filters.languages = filters.languages.map((tag) => {
+      const language = normalizeLanguage(tag);
+      if (!language) throw invalid(`Invalid language: ${tag}`);
+      return language;
+    });
+  }
+
+  if (input.since !== undefined && input.since !== null) {
+    const match = String(input.since)
+      .trim()
+      .match(/^(\d+)\s*([hdw])$/i);
+    if (!match || Number(match[1]) === 0) {
+      throw invalid('since must look like "48h", "7d" or "2w"');
+    }
+    filters.from = new Date(
+      now - Number(match[1]) * RELATIVE_UNITS_MS[match[2].toLowerCase()]
+    ).toISOString();
+  }
+
+  ["from", "to"].forEach((name) => {
+    if (input[name] === undefined || input[name] === null) return;
+
+    let time = parseDate(name, input[name]);
+    // A date-only `to` covers that whole day
+    if (name === "to" && /^\d{4}-\d{2}-\d{2}$/.test(input[name])) {
+      time += RELATIVE_UNITS_MS.d - 1;
+    }
+    // An explicit `from` later than the `since` window wins
+    if (name === "from" && filters.from && Date.parse(filters.from) > time) {
+      return;
+    }
+    filters[name] = new Date(time).toISOString();
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw invalid("from must be before to");
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Parse filters given as query-string parameters, e.g.
+ * `?sources=BBC News,Reuters&since=7d`. Keyword filters take a
+ * comma-separated list or a repeated parameter; other parameters are
+ * ignored.
+ */
+function parseQueryFilters(query = {}, now = Date.now()) {
+  const input = {};
+
+  Object.keys(KEYWORD_FILTERS).forEach((name) => {
+    if (query[name] === undefined) return;
+    input[name] = []
+      .concat(query[name])
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  });
+
+  ["from", "to", "since"].forEach((name) => {
+    if (query[name] !== undefined) input[name] = String(query[name]);
+  });
+
+  return parseSearchFilters(Object.keys(input).length > 0 ? input : null, now);
+}
+
+/**
+ * Map parsed filters to a Qdrant payload filter, or null for no filter.
+ * Date bounds use the numeric `publishedTimestamp` payload field, so
+ * undated articles never match a date filter.
+ */
+function buildQdrantFilter(filters) {
+  if (!filters) return null;
+
+  const must = [];
+
+  Object.entries(KEYWORD_FILTERS).forEach(([name, field]) => {
+    if (filters[name] && filters[name].length > 0) {
+      must.push({ key: field, match: { any: filters[name] } });
+    }
+  });
+
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.gte = Date.parse(filters.from);
+    if (filters.to) range.lte = Date.parse(filters.to);
+    must.push({ key: "publishedTimestamp", range });
+  }
+
+  return must.length > 0 ? { must } : null;
+}
+
+/**
+ * Reply used when retrieval finds nothing
+ */
+function noResultsMessage(filters) {
+  return filters
+    ? "I couldn't find any relevant news articles matching your filters. Try widening the filters or asking about a different topic."
+    : "I couldn't find any relevant news articles to answer your question. Please try rephrasing your question or ask about a different topic.";
+}
+
+module.exports = {
+  parseSearchFilters,
+  parseQueryFilters,
+  buildQdrantFilter,
+  noResultsMessage,
+};
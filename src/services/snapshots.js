@@ -0,0 +1,421 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const { Readable, pipeline: streamPipeline } = require("stream");
+const { pipeline } = require("stream/promises");
+const { createVectorStore } = require("./vectorStores");
+const { encodeDocument } = require("./sparseEncoder");
+const IngestionLedger = require("./ingestionLedger");
+const IngestionScheduler = require("./ingestionScheduler");
+require("dotenv").config();
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, "../../data/snapshots");
+
+const SNAPSHOT_FORMAT = "news-ai-assistant-snapshot";
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_EXTENSION = ".ndjson.gz";
+
+// Points read or written per vector store request
+const SNAPSHOT_PAGE_SIZE = 256;
+
+function getSnapshotDir() {
+  return process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR;
+}
+
+function snapshotError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Path of a snapshot in the snapshot directory. Only plain file names
+ * ending in .ndjson.gz are accepted, so a name can't escape the directory.
+ */
+function resolveSnapshotPath(name) {
+  if (
+    typeof name !== "string" ||
+    !/^[\w.-]+$/.test(name) ||
+    !name.endsWith(SNAPSHOT_EXTENSION)
+  ) {
+    throw snapshotError(
+      `Snapshot names are file names ending in ${SNAPSHOT_EXTENSION}`,
+      "INVALID_SNAPSHOT"
+    );
+  }
+
+  return path.join(getSnapshotDir(), name);
+}
+
+// Dense vectors are written as base64 float32, a quarter of JSON's size
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString("base64");
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, "base64");
+  return Array.from(
+    new Float32Array(
+      buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength
+      )
+    )
+  );
+}
+
+/**
+ * Lines of a snapshot file: the header, one line per point, then a
+ * trailer with the point count so truncated files are detected
+ */
+async function* readSnapshotLines(filePath) {
+  const input = zlib.createGunzip();
+  streamPipeline(fs.createReadStream(filePath), input, () => {});
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        throw snapshotError(
+          `${path.basename(filePath)} is corrupt: ${error.message}`,
+          "INVALID_SNAPSHOT"
+        );
+      }
+    }
+  } catch (error) {
+    if (error.code === "Z_DATA_ERROR" || error.code === "Z_BUF_ERROR") {
+      throw snapshotError(
+        `${path.basename(filePath)} is not a gzipped snapshot`,
+        "INVALID_SNAPSHOT"
+      );
+    }
+    throw error;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+async function readSnapshotHeader(filePath) {
+  for await (const header of readSnapshotLines(filePath)) {
+    if (header.format !== SNAPSHOT_FORMAT) {
+      throw snapshotError(
+        `${path.basename(filePath)} is not a snapshot`,
+        "INVALID_SNAPSHOT"
+      );
+    }
+    if (header.version !== SNAPSHOT_VERSION) {
+      throw snapshotError(
+        `Unsupported snapshot version ${header.version}`,
+        "INVALID_SNAPSHOT"
+      );
+    }
+    return header;
+  }
+
+  throw snapshotError(
+    `${path.basename(filePath)} is empty`,
+    "INVALID_SNAPSHOT"
+  );
+}
+
+/**
+ * Take the ingestion lock so no run writes to the collection meanwhile
+ */
+async function withIngestionLock(scheduler, action) {
+  if (!(await scheduler.acquireLock())) {
+    throw snapshotError(
+      "An ingestion run is in progress; try again later",
+      "INGESTION_IN_PROGRESS"
+    );
+  }
+
+  try {
+    return await action();
+  } finally {
+    await scheduler.releaseLock();
+  }
+}
+
+/**
+ * Export the live collection (vectors, payloads and its embedding model)
+ * to a gzipped JSON Lines file. Writes to the snapshot directory
+ * (SNAPSHOT_DIR, default data/snapshots) unless `filePath` is given.
+ */
+async function exportSnapshot({
+  filePath,
+  vectorStore = createVectorStore(),
+  scheduler = new IngestionScheduler({ schedule: null }),
+} = {}) {
+  const info = await vectorStore.getCollectionInfo();
+  if (!info) {
+    throw snapshotError(
+      `Collection ${vectorStore.collectionName} does not exist`,
+      "COLLECTION_NOT_FOUND"
+    );
+  }
+
+  const createdAt = new Date().toISOString();
+  const target =
+    filePath ||
+    resolveSnapshotPath(
+      `${info.collection}-${createdAt.replace(
+        /[:.]/g,
+        "-"
+      )}${SNAPSHOT_EXTENSION}`
+    );
+  const tempPath = `${target}.tmp`;
+  let points = 0;
+
+  async function* lines() {
+    yield `${JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt,
+      collection: info.collection,
+      backend: info.backend,
+      embeddingModel: info.embeddingModel,
+      dimension: info.dimension,
+      vectorEncoding: "float32-base64",
+    })}\n`;
+
+    let offset = null;
+    do {
+      const page = await vectorStore.scrollPoints({
+        limit: SNAPSHOT_PAGE_SIZE,
+        offset,
+        withVectors: true,
+      });
+
+      for (const point of page.points) {
+        points++;
+        yield `${JSON.stringify({
+          id: point.id,
+          vector: encodeVector(point.vector),
+          sparseVector: point.sparseVector || null,
+          payload: point.payload,
+        })}\n`;
+      }
+
+      offset = page.nextOffset;
+    } while (offset !== null && offset !== undefined);
+
+    yield `${JSON.stringify({ end: true, points })}\n`;
+  }
+
+  try {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    await withIngestionLock(scheduler, () =>
+      pipeline(
+        Readable.from(lines()),
+        zlib.createGzip(),
+        fs.createWriteStream(tempPath)
+      )
+    );
+    await fs.promises.rename(tempPath, target);
+
+    const { size } = await fs.promises.stat(target);
+    console.log(
+      `💾 Exported ${points} points from ${info.collection} to ${target}`
+    );
+
+    return {
+      name: path.basename(target),
+      file: target,
+      collection: info.collection,
+      embeddingModel: info.embeddingModel,
+      dimension: info.dimension,
+      points,
+      bytes: size,
+      createdAt,
+    };
+  } catch (error) {
+    console.error("Error exporting snapshot:", error.message);
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Restore a snapshot into a new, empty collection and switch the alias to
+ * it once every point is in, so chat keeps serving the current collection
+ * until then. The snapshot must match the configured embedding model.
+ * Ledger entries of articles missing from the snapshot are invalidated so
+ * the next ingestion run stores them again.
+ */
+async function restoreSnapshot(
+  filePath,
+  {
+    keepOld = false,
+    vectorStore = createVectorStore(),
+    scheduler = new IngestionScheduler({ schedule: null }),
+    ledger = new IngestionLedger(),
+  } = {}
+) {
+  const header = await readSnapshotHeader(filePath);
+
+  if (
+    header.embeddingModel !== vectorStore.embeddingModel ||
+    header.dimension !== vectorStore.vectorSize
+  ) {
+    throw snapshotError(
+      `Snapshot was embedded with ${header.embeddingModel} (${header.dimension} dimensions) but the embedding provider uses ${vectorStore.embeddingModel} (${vectorStore.vectorSize} dimensions)`,
+      "EMBEDDING_MODEL_MISMATCH"
+    );
+  }
+
+  return withIngestionLock(scheduler, async () => {
+    const target = `${vectorStore.collectionName}_${Date.now()}`;
+    const targetStore = vectorStore.forCollection(target);
+    const urls = new Set();
+    let restored = 0;
+    let switched = false;
+
+    try {
+      console.log(`♻️ Restoring ${path.basename(filePath)} into ${target}`);
+      await targetStore.createCollection();
+
+      let batch = [];
+      let trailer = null;
+      const flush = async () => {
+        if (batch.length === 0) return;
+        await targetStore.upsertPoints(batch);
+        restored += batch.length;
+        batch = [];
+      };
+
+      let isHeader = true;
+      for await (const line of readSnapshotLines(filePath)) {
+        if (isHeader) {
+          isHeader = false;
+          continue;
+        }
+        if (line.end) {
+          trailer = line;
+          break;
+        }
+
+        const payload = line.payload || {};
+        if (payload.url) urls.add(payload.url);
+        batch.push({
+          id: line.id,
+          vector: decodeVector(line.vector),
+          // Points exported before hybrid search get their keyword vector now
+          sparseVector:
+            line.sparseVector ||
+            encodeDocument(
+              [payload.title, payload.chunkText || payload.content]
+                .filter(Boolean)
+                .join("\n\n")
+            ),
+          payload,
+        });
+
+        if (batch.length >= SNAPSHOT_PAGE_SIZE) await flush();
+      }
+      await flush();
+
+      if (!trailer || trailer.points !== restored) {
+        throw snapshotError(
+          `Snapshot is incomplete: restored ${restored} points, expected ${
+            trailer ? trailer.points : "an end marker"
+          }`,
+          "INVALID_SNAPSHOT"
+        );
+      }
+
+      const previous = await vectorStore.switchAlias(target);
+      switched = true;
+      if (previous && !keepOld) {
+        await vectorStore.deleteCollection(previous);
+      }
+
+      await ledger.load();
+      const invalidated = Object.keys(ledger.state.articles).filter(
+        (url) => !urls.has(url)
+      );
+      invalidated.forEach((url) => ledger.invalidateArticle(url));
+      if (invalidated.length > 0) await ledger.save();
+
+      console.log(`✅ Restored ${restored} points into ${target}`);
+
+      return {
+        file: filePath,
+        collection: target,
+        previous,
+        keptOld: Boolean(previous && keepOld),
+        embeddingModel: header.embeddingModel,
+        points: restored,
+        articles: urls.size,
+        invalidated: invalidated.length,
+      };
+    } catch (error) {
+      console.error("Error restoring snapshot:", error.message);
+
+      // The alias still points at the old collection; drop the partial copy
+      if (!switched) {
+        await targetStore
+          .deleteCollection(target)
+          .catch((cleanupError) =>
+            console.error(`Could not delete ${target}:`, cleanupError.message)
+          );
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Snapshots in the snapshot directory, newest first
+ */
+async function listSnapshots() {
+  let names;
+  try {
+    names = await fs.promises.readdir(getSnapshotDir());
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const snapshots = await Promise.all(
+    names
+      .filter((name) => name.endsWith(SNAPSHOT_EXTENSION))
+      .map(async (name) => {
+        const file = resolveSnapshotPath(name);
+        const { size } = await fs.promises.stat(file);
+
+        try {
+          const header = await readSnapshotHeader(file);
+          return {
+            name,
+            bytes: size,
+            createdAt: header.createdAt,
+            collection: header.collection,
+            embeddingModel: header.embeddingModel,
+            dimension: header.dimension,
+          };
+        } catch (error) {
+          return { name, bytes: size, error: error.message };
+        }
+      })
+  );
+
+  return snapshots.sort((a, b) =>
+    (b.createdAt || "").localeCompare(a.createdAt || "")
+  );
+}
+
+module.exports = {
+  exportSnapshot,
+  restoreSnapshot,
+  listSnapshots,
+  readSnapshotHeader,
+  resolveSnapshotPath,
+};
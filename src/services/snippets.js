@@ -0,0 +1,93 @@
+const { tokenize } = require("./sparseEncoder");
+
+// Same tokens as the keyword index, so highlights match what search matched
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-.&_][\p{L}\p{N}]+)*/gu;
+
+const DEFAULT_SNIPPET_LENGTH = 240;
+
+// Characters kept before the first highlighted term
+const LEADING_CONTEXT = 40;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Character ranges of the words in `text` that share a keyword term with
+ * the query
+ */
+function findQueryTerms(text, query) {
+  const queryTerms = new Set(tokenize(query));
+  if (queryTerms.size === 0) return [];
+
+  return [...text.matchAll(TOKEN_PATTERN)]
+    .filter((match) => tokenize(match[0]).some((term) => queryTerms.has(term)))
+    .map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * The window of `text` (at most `maxLength` characters) holding the most
+ * query terms, HTML-escaped, with each term wrapped in <mark></mark> and
+ * "…" where the text was cut. Text without query terms gives its opening.
+ */
+function highlightSnippet(
+  text,
+  query,
+  { maxLength = DEFAULT_SNIPPET_LENGTH } = {}
+) {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  const matches = findQueryTerms(clean, query);
+
+  let windowStart = 0;
+  let best = 0;
+  matches.forEach((match, index) => {
+    const count = matches
+      .slice(index)
+      .filter((other) => other.end <= match.start + maxLength).length;
+    if (count > best) {
+      best = count;
+      windowStart = match.start;
+    }
+  });
+
+  let start = Math.max(0, windowStart - LEADING_CONTEXT);
+  if (start > 0) {
+    // Start on a word boundary
+    const space = clean.indexOf(" ", start);
+    start = space === -1 || space >= windowStart ? windowStart : space + 1;
+  }
+
+  let end = Math.min(clean.length, start + maxLength);
+  if (end < clean.length) {
+    const space = clean.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  let snippet = "";
+  let position = start;
+  matches
+    .filter((match) => match.start >= start && match.end <= end)
+    .forEach((match) => {
+      snippet += escapeHtml(clean.slice(position, match.start));
+      snippet += `<mark>${escapeHtml(
+        clean.slice(match.start, match.end)
+      )}</mark>`;
+      position = match.end;
+    });
+  snippet += escapeHtml(clean.slice(position, end));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < clean.length ? "…" : ""}`;
+}
+
+module.exports = {
+  highlightSnippet,
+  findQueryTerms,
+};
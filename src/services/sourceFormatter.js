@@ -0,0 +1,36 @@
+/**
+ * Shape retrieved articles into the `sources` payload returned by the chat
+ * routes and the socket `stream-complete` event.
+ */
+function formatSources(articles) {
+  return articles.map((article) => ({
+    id: article.id,
+    title: article.title,
+    url: article.url,
+    source: article.source,
+    publishedAt: article.publishedAt,
+    author: article.author || null,
+    imageUrl: article.imageUrl || null,
+    keywords: article.keywords || [],
+    section: article.section || null,
+    language: article.language || null,
+    score: article.score,
+    clusterId: article.clusterId,
+    // Every outlet that ran the same story
+    outlets: article.outlets || [],
+    // "More like this": similar articles, diversified by outlet
+    related: (article.related || []).map((related) => ({
+      id: related.id,
+      title: related.title,
+      url: related.url,
+      source: related.source,
+      publishedAt: related.publishedAt,
+      imageUrl: related.imageUrl || null,
+      score: related.score,
+    })),
+  }));
+}
+
+module.exports = {
+  formatSources,
+};
@@ -0,0 +1,27 @@
+const rssSource = require("./rssSource");
+const jsonFeedSource = require("./jsonFeedSource");
+const newsSitemapSource = require("./newsSitemapSource");
+
+// Source adapters keyed by the feed's declared type
+const SOURCE_ADAPTERS = {
+  [rssSource.type]: rssSource,
+  [jsonFeedSource.type]: jsonFeedSource,
+  [newsSitemapSource.type]: newsSitemapSource,
+};
+
+const SOURCE_TYPES = Object.keys(SOURCE_ADAPTERS);
+
+function getSourceAdapter(type = "rss") {
+  const adapter = SOURCE_ADAPTERS[type];
+
+  if (!adapter) {
+    throw new Error(`Unknown feed source type: ${type}`);
+  }
+
+  return adapter;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  getSourceAdapter,
+};
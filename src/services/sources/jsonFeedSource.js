@@ -0,0 +1,54 @@
+const cheerio = require("cheerio");
+
+function htmlToText(html) {
+  return cheerio
+    .load(html || "")
+    .text()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse a JSON Feed (https://jsonfeed.org, versions 1.0 and 1.1)
+ */
+async function parse(body, feedEntry) {
+  const feed = typeof body === "string" ? JSON.parse(body) : body;
+
+  if (
+    !feed ||
+    typeof feed.version !== "string" ||
+    !feed.version.startsWith("https://jsonfeed.org/version/1")
+  ) {
+    throw new Error("Document is not a JSON Feed 1.x");
+  }
+
+  return (feed.items || []).map((item) => {
+    const content = item.content_text || htmlToText(item.content_html);
+    // Version 1.1 has `authors` lists; 1.0 a single `author`
+    const authors = [].concat(
+      item.authors || item.author || feed.authors || feed.author || []
+    );
+
+    return {
+      title: item.title || "",
+      url: item.url || item.external_url || "",
+      publishedAt: item.date_published || item.date_modified || null,
+      source: feed.title || feedEntry.name || "Unknown",
+      description: item.summary || content.substring(0, 300),
+      content,
+      author:
+        authors
+          .map((author) => author && author.name)
+          .filter(Boolean)
+          .join(", ") || null,
+      imageUrl: item.image || item.banner_image || null,
+      keywords: item.tags || [],
+      language: item.language || feed.language || null,
+    };
+  });
+}
+
+module.exports = {
+  type: "jsonfeed",
+  parse,
+};
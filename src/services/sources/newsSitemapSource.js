@@ -0,0 +1,58 @@
+const cheerio = require("cheerio");
+
+/**
+ * Parse a Google News sitemap (news-sitemap.xml). Only <url> entries that
+ * carry a <news:news> block are treated as articles.
+ */
+async function parse(body, feedEntry) {
+  const $ = cheerio.load(body, { xmlMode: true });
+
+  if ($("sitemapindex").length > 0) {
+    throw new Error(
+      "Sitemap indexes are not supported, register the news sitemap itself"
+    );
+  }
+
+  if ($("urlset").length === 0) {
+    throw new Error("Document is not a sitemap");
+  }
+
+  const articles = [];
+
+  $("urlset > url").each((index, element) => {
+    const entry = $(element);
+    const news = entry.children("news\\:news");
+
+    if (news.length === 0) {
+      return;
+    }
+
+    const keywords = news.children("news\\:keywords").text().trim();
+
+    articles.push({
+      title: news.children("news\\:title").text().trim(),
+      url: entry.children("loc").text().trim(),
+      publishedAt:
+        news.children("news\\:publication_date").text().trim() || null,
+      source:
+        news.find("news\\:publication > news\\:name").text().trim() ||
+        feedEntry.name ||
+        "Unknown",
+      description: keywords,
+      content: "",
+      author: null,
+      imageUrl:
+        entry.find("image\\:image > image\\:loc").first().text().trim() || null,
+      keywords: keywords ? keywords.split(",") : [],
+      language:
+        news.find("news\\:publication > news\\:language").text().trim() || null,
+    });
+  });
+
+  return articles;
+}
+
+module.exports = {
+  type: "sitemap",
+  parse,
+};
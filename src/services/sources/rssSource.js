@@ -0,0 +1,45 @@
+const Parser = require("rss-parser");
+
+// Feeds are downloaded by the ingestion layer, the parser only reads the XML
+const parser = new Parser({
+  customFields: { item: [["media:content", "mediaContent"]] },
+});
+
+function itemImage(item) {
+  if (item.enclosure && /^image\//.test(item.enclosure.type || "")) {
+    return item.enclosure.url;
+  }
+  return (
+    (item.mediaContent && item.mediaContent.$ && item.mediaContent.$.url) ||
+    null
+  );
+}
+
+/**
+ * Parse an RSS or Atom document into article entries
+ */
+async function parse(body, feedEntry) {
+  const feed = await parser.parseString(body);
+  const language = feed.language || null;
+
+  return feed.items.map((item) => ({
+    title: item.title || "",
+    url: item.link || "",
+    publishedAt: item.pubDate || item.isoDate || null,
+    source: feed.title || feedEntry.name || "Unknown",
+    description: item.contentSnippet || item.content || "",
+    content: "",
+    author: item.creator || item.author || null,
+    imageUrl: itemImage(item),
+    // Categories are plain strings or { _: "name" } objects
+    keywords: (item.categories || [])
+      .map((category) => (typeof category === "string" ? category : category._))
+      .filter(Boolean),
+    language,
+  }));
+}
+
+module.exports = {
+  type: "rss",
+  parse,
+};
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { STOPWORDS } = require("./localEmbeddings");
+
+// BM25 term-frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Typical chunk length in tokens (chunks are ~1200 characters)
+const AVERAGE_DOCUMENT_TOKENS = 180;
+
+/**
+ * Split text into lowercase keyword terms. Compound tokens such as
+ * "CVE-2024-3094", "S&P" or "node.js" are kept whole and also split into
+ * their parts, so both the exact identifier and its pieces match.
+ */
+function tokenize(text) {
+  const terms = [];
+  const tokens =
+    (text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+(?:[-.&_][\p{L}\p{N}]+)*/gu) || [];
+
+  tokens.forEach((token) => {
+    const parts = token.split(/[-.&_]/);
+
+    if (parts.length > 1) terms.push(token);
+    parts.forEach((part) => {
+      if (!STOPWORDS.has(part)) terms.push(part);
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Stable uint32 index of a term in the sparse vector space
+ */
+function termIndex(term) {
+  return crypto.createHash("md5").update(term).digest().readUInt32LE(0);
+}
+
+function toSparseVector(weights) {
+  const entries = [...weights.entries()].sort((a, b) => a[0] - b[0]);
+  return {
+    indices: entries.map(([index]) => index),
+    values: entries.map(([, value]) => value),
+  };
+}
+
+/**
+ * Sparse vector of a stored text: BM25 term weights without IDF, which
+ * the vector store applies at query time from collection statistics.
+ * Returns null for text without terms.
+ */
+function encodeDocument(text) {
+  const terms = tokenize(text);
+  if (terms.length === 0) return null;
+
+  const counts = new Map();
+  terms.forEach((term) => {
+    const index = termIndex(term);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  });
+
+  const lengthNorm =
+    1 - BM25_B + BM25_B * (terms.length / AVERAGE_DOCUMENT_TOKENS);
+  const weights = new Map();
+  counts.forEach((count, index) => {
+    weights.set(
+      index,
+      (count * (BM25_K1 + 1)) / (count + BM25_K1 * lengthNorm)
+    );
+  });
+
+  return toSparseVector(weights);
+}
+
+/**
+ * Sparse vector of a query: each distinct term once
+ */
+function encodeQuery(text) {
+  const terms = tokenize(text);
+  if (terms.length === 0) return null;
+
+  return toSparseVector(new Map(terms.map((term) => [termIndex(term), 1])));
+}
+
+module.exports = {
+  tokenize,
+  encodeDocument,
+  encodeQuery,
+};
@@ -1,40 +1,85 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
-const JinaEmbeddings = require("./embeddings");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { noResultsMessage } = require("./searchFilters");
 const VectorStore = require("./vectorStore");
+const { createVectorStore } = require("./vectorStores");
+const { formatSources } = require("./sourceFormatter");
 require("dotenv").config();
 
 class StreamingRAGPipeline {
-  constructor() {
+  /**
+   * `searchMode` is the default retrieval mode: "dense", "sparse" or
+   * "hybrid" (SEARCH_MODE, default "dense"). Each query can override it.
+   */
+  constructor({ searchMode = process.env.SEARCH_MODE || "dense" } = {}) {
+    if (!VectorStore.SEARCH_MODES.includes(searchMode)) {
+      throw new Error(`Unknown search mode "${searchMode}"`);
+    }
+
     this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
     this.model = this.gemini.getGenerativeModel({ model: "gemini-2.0-flash" });
 
-    this.embeddings = new JinaEmbeddings(process.env.JINA_API_KEY);
-    this.vectorStore = new VectorStore();
+    this.embeddings = createEmbeddingProvider();
+    this.vectorStore = createVectorStore({
+      vectorSize: this.embeddings.dimension,
+      embeddingModel: this.embeddings.model,
+      similarityThreshold: this.embeddings.similarityThreshold,
+    });
 
     this.maxContextArticles = 5;
-    this.minSimilarityScore = 0.6;
+    this.maxPassagesPerArticle = 3;
+    this.maxRelatedArticles = 3;
+    this.minSimilarityScore = this.embeddings.similarityThreshold;
+    this.searchMode = searchMode;
+  }
+
+  /**
+   * Retrieve the articles most relevant to a query, each with its related
+   * articles (under the same filters). Keyword-only search skips embedding
+   * the query.
+   */
+  async findRelevantArticles(query, filters, searchMode = this.searchMode) {
+    const queryEmbedding =
+      searchMode === "sparse"
+        ? null
+        : (await this.embeddings.embedText(query)).embedding;
+
+    const articles = await this.vectorStore.searchArticles(
+      queryEmbedding,
+      this.maxContextArticles,
+      this.minSimilarityScore,
+      filters,
+      { mode: searchMode, queryText: query }
+    );
+
+    return this.vectorStore.attachRelatedArticles(articles, {
+      limit: this.maxRelatedArticles,
+      scoreThreshold: this.minSimilarityScore,
+      filters,
+    });
   }
 
-  async processQueryStream(query, sessionId = null, socket = null) {
+  async processQueryStream(
+    query,
+    sessionId = null,
+    socket = null,
+    filters = null,
+    searchMode = this.searchMode
+  ) {
     try {
       console.log(`🔍 Processing streaming query: "${query}"`);
 
-      // Step 1: Generate embedding for the query
-      const queryResult = await this.embeddings.embedText(query);
-      const queryEmbedding = queryResult.embedding;
-
-      // Step 2: Search for relevant articles
-      const relevantArticles = await this.vectorStore.searchSimilar(
-        queryEmbedding,
-        this.maxContextArticles,
-        this.minSimilarityScore
+      // Step 1: Search for relevant articles
+      const relevantArticles = await this.findRelevantArticles(
+        query,
+        filters,
+        searchMode
       );
 
       console.log(`📰 Found ${relevantArticles.length} relevant articles`);
 
       if (relevantArticles.length === 0) {
-        const fallbackResponse =
-          "I couldn't find any relevant news articles to answer your question. Please try rephrasing your question or ask about a different topic.";
+        const fallbackResponse = noResultsMessage(filters);
 
         if (socket) {
           socket.emit("stream-complete", {
@@ -51,10 +96,10 @@ class StreamingRAGPipeline {
         };
       }
 
-      // Step 3: Prepare context for Gemini
+      // Step 2: Prepare context for Gemini
       const context = this.prepareContext(relevantArticles);
 
-      // Step 4: Generate streaming response using Gemini
+      // Step 3: Generate streaming response using Gemini
       const response = await this.generateStreamingResponse(
         query,
         context,
@@ -65,13 +110,7 @@ class StreamingRAGPipeline {
 
       return {
         response: response,
-        sources: relevantArticles.map((article) => ({
-          title: article.title,
-          url: article.url,
-          source: article.source,
-          publishedAt: article.publishedAt,
-          score: article.score,
-        })),
+        sources: formatSources(relevantArticles),
         sessionId,
       };
     } catch (error) {
@@ -107,16 +146,30 @@ class StreamingRAGPipeline {
     articles.forEach((article, index) => {
       context += `Article ${index + 1}: ${article.title}\n`;
       context += `Source: ${article.source}\n`;
-      context += `Published: ${article.publishedAt}\n`;
+      context += `Published: ${article.publishedAt || "unknown"}\n`;
+
+      const otherOutlets = (article.outlets || [])
+        .map((outlet) => outlet.source)
+        .filter((source) => source && source !== article.source);
+      if (otherOutlets.length > 0) {
+        context += `Also reported by: ${[...new Set(otherOutlets)].join(
+          ", "
+        )}\n`;
+      }
 
       if (article.description) {
         context += `Summary: ${article.description}\n`;
       }
 
-      if (article.content) {
-        // Limit content to avoid token limits
-        const content = article.content.substring(0, 1000);
-        context += `Content: ${content}\n`;
+      // Only the best-matching passages, kept in reading order
+      if (article.passages && article.passages.length > 0) {
+        const passages = [...article.passages]
+          .sort((a, b) => b.score - a.score)
+          .slice(0, this.maxPassagesPerArticle)
+          .sort((a, b) => a.chunkIndex - b.chunkIndex)
+          .map((passage) => passage.text)
+          .join("\n...\n");
+        context += `Relevant passages:\n${passages}\n`;
       }
 
       context += "\n";
@@ -176,13 +229,7 @@ Please provide a well-formatted markdown response based on the above articles:`;
       if (socket) {
         socket.emit("stream-complete", {
           response: fullResponse,
-          sources: sources.map((s) => ({
-            title: s.title,
-            url: s.url,
-            source: s.source,
-            publishedAt: s.publishedAt,
-            score: s.score,
-          })),
+          sources: formatSources(sources),
           sessionId: sessionId,
         });
       }
@@ -198,13 +245,7 @@ Please provide a well-formatted markdown response based on the above articles:`;
       if (socket) {
         socket.emit("stream-complete", {
           response: fallbackResponse,
-          sources: sources.map((s) => ({
-            title: s.title,
-            url: s.url,
-            source: s.source,
-            publishedAt: s.publishedAt,
-            score: s.score,
-          })),
+          sources: formatSources(sources),
           sessionId: sessionId,
         });
       }
@@ -220,7 +261,9 @@ Please provide a well-formatted markdown response based on the above articles:`;
     query,
     chatHistory,
     sessionId = null,
-    socket = null
+    socket = null,
+    filters = null,
+    searchMode = this.searchMode
   ) {
     try {
       console.log(`🔍 Processing contextual streaming query: "${query}"`);
@@ -230,22 +273,17 @@ Please provide a well-formatted markdown response based on the above articles:`;
         chatHistory
       );
 
-      // Generate embedding for the query
-      const queryResult = await this.embeddings.embedText(query);
-      const queryEmbedding = queryResult.embedding;
-
       // Search for relevant articles
-      const relevantArticles = await this.vectorStore.searchSimilar(
-        queryEmbedding,
-        this.maxContextArticles,
-        this.minSimilarityScore
+      const relevantArticles = await this.findRelevantArticles(
+        query,
+        filters,
+        searchMode
       );
 
       console.log(`📰 Found ${relevantArticles.length} relevant articles`);
 
       if (relevantArticles.length === 0) {
-        const fallbackResponse =
-          "I couldn't find any relevant news articles to answer your question. Please try rephrasing your question or ask about a different topic.";
+        const fallbackResponse = noResultsMessage(filters);
 
         if (socket) {
           socket.emit("stream-complete", {
@@ -279,13 +317,7 @@ Please provide a well-formatted markdown response based on the above articles:`;
 
       return {
         response: response,
-        sources: relevantArticles.map((article) => ({
-          title: article.title,
-          url: article.url,
-          source: article.source,
-          publishedAt: article.publishedAt,
-          score: article.score,
-        })),
+        sources: formatSources(relevantArticles),
         sessionId,
       };
     } catch (error) {
@@ -373,13 +405,7 @@ Please provide a well-formatted markdown response that considers both the conver
       if (socket) {
         socket.emit("stream-complete", {
           response: fullResponse,
-          sources: sources.map((s) => ({
-            title: s.title,
-            url: s.url,
-            source: s.source,
-            publishedAt: s.publishedAt,
-            score: s.score,
-          })),
+          sources: formatSources(sources),
           sessionId: sessionId,
         });
       }
@@ -398,13 +424,7 @@ Please provide a well-formatted markdown response that considers both the conver
       if (socket) {
         socket.emit("stream-complete", {
           response: fallbackResponse,
-          sources: sources.map((s) => ({
-            title: s.title,
-            url: s.url,
-            source: s.source,
-            publishedAt: s.publishedAt,
-            score: s.score,
-          })),
+          sources: formatSources(sources),
           sessionId: sessionId,
         });
       }
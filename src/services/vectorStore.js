@@ -1,49 +1,368 @@
-const { QdrantClient } = require("@qdrant/js-client-rest");
+const crypto = require("crypto");
+const { createEmbeddingProvider } = require("./embeddingProviders");
+const { buildQdrantFilter } = require("./searchFilters");
+const { tokenize, encodeDocument, encodeQuery } = require("./sparseEncoder");
 require("dotenv").config();
 
+// Chunks fetched per requested article before grouping
+const CHUNKS_PER_ARTICLE = 4;
+
+// Outlets listed per story cluster
+const MAX_CLUSTER_OUTLETS = 20;
+
+// Points fetched per scroll page
+const SCROLL_PAGE_SIZE = 256;
+
+// Articles removed per delete request
+const DELETE_BATCH_SIZE = 256;
+
+// Related-article candidates fetched per requested result, so there is
+// room to diversify by outlet
+const RELATED_CANDIDATE_FACTOR = 3;
+
+// Payload fields returned when listing articles
+const ARTICLE_LIST_FIELDS = [
+  "title",
+  "url",
+  "source",
+  "publishedAt",
+  "publishedTimestamp",
+  "description",
+  "author",
+  "imageUrl",
+  "category",
+  "language",
+  "sourceType",
+  "feedId",
+  "clusterId",
+  "chunkCount",
+  "indexedAt",
+];
+
+const MAX_LIST_LIMIT = 100;
+
+// Reciprocal rank fusion constant: higher values flatten rank differences
+const RRF_K = 60;
+
+// Share of the query's keywords a keyword-only hybrid hit must contain.
+// BM25 scores are unbounded, so one shared word (e.g. "today") would
+// otherwise let any chunk through when dense search found nothing.
+const MIN_KEYWORD_COVERAGE = 0.5;
+
+const SEARCH_MODES = ["dense", "sparse", "hybrid"];
+
+// How long a verified model check is trusted before asking the store again
+const MODEL_CHECK_TTL_MS = 60 * 1000;
+
+// Alias chat reads through. It must not name a physical collection, so
+// switching it never needs to delete one first.
+const DEFAULT_ALIAS = "news_articles_live";
+
+// What deployments from before the live alias read: a physical collection,
+// or an alias to one
+const LEGACY_COLLECTION = "news_articles";
+
+function listError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_LIST_REQUEST";
+  return error;
+}
+
+// List cursors are opaque to clients: base64url JSON of the page boundary
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString("base64url");
+}
+
+function decodeCursor(cursor, order) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    throw listError("Invalid cursor");
+  }
+
+  if (!state || !["dated", "undated"].includes(state.phase)) {
+    throw listError("Invalid cursor");
+  }
+  if (state.order !== order) {
+    throw listError("cursor was issued for a different order");
+  }
+
+  return state.phase === "dated"
+    ? {
+        phase: "dated",
+        timestamp: typeof state.timestamp === "number" ? state.timestamp : null,
+        seen: Array.isArray(state.seen) ? state.seen : [],
+      }
+    : { phase: "undated", offset: state.offset ?? null };
+}
+
+/**
+ * Base class for vector store backends. Articles, search, fusion and the
+ * embedding model check are shared; subclasses implement collection
+ * management and the point operations below. Filters use Qdrant's filter
+ * syntax (see searchFilters.buildQdrantFilter) for every backend.
+ *
+ * Point operations act on `collectionName` and take points shaped as
+ * `{ id, vector, sparseVector, payload }`:
+ *
+ * - upsertPoints(points)
+ * - deletePoints(filter) — `{}` deletes every point
+ * - queryPoints({ vector | sparseVector, limit, scoreThreshold, filter })
+ * - scrollPoints({ filter, limit, offset, fields, withVectors, orderBy })
+ *   → { points, nextOffset }. `orderBy: { key, direction }` sorts by a
+ *   numeric payload field, skips points without it and has no offset.
+ * - retrievePoints(ids)
+ */
 class VectorStore {
-  constructor() {
-    // Use environment variables for Qdrant connection
+  /**
+   * `vectorSize` and `embeddingModel` default to the configured embedding
+   * provider (EMBEDDING_PROVIDER), and so does `similarityThreshold`.
+   * `collectionName` defaults to the alias
+   * chat reads from (VECTOR_STORE_ALIAS, default news_articles_live);
+   * re-indexing passes a physical collection.
+   */
+  constructor(options = {}) {
+    const { backend, vectorSize, embeddingModel, collectionName } = options;
+
+    // Kept so forCollection() can open siblings with the same settings
+    this.options = options;
+    this.backend = backend;
+    this.collectionName =
+      collectionName || process.env.VECTOR_STORE_ALIAS || DEFAULT_ALIAS;
+    // Only the live alias adopts the pre-alias collection
+    this.legacyCollectionName =
+      collectionName || this.collectionName === LEGACY_COLLECTION
+        ? null
+        : LEGACY_COLLECTION;
 
-    this.client = new QdrantClient({
-      url: process.env.QDRANT_URL,
-      apiKey: process.env.QDRANT_API_KEY,
+    const provider =
+      vectorSize && embeddingModel ? null : createEmbeddingProvider();
+    this.vectorSize = vectorSize || provider.dimension;
+    this.embeddingModel = embeddingModel || provider.model;
+    // Default floor for related-article similarity
+    this.similarityThreshold =
+      options.similarityThreshold ??
+      (provider ? provider.similarityThreshold : null);
+    this.modelCheckedAt = 0;
+    this.sparseFallbackWarned = false;
+  }
+
+  /**
+   * A store on the same backend for another (physical) collection, by
+   * default with this store's embedding model and dimension
+   */
+  forCollection(
+    collectionName,
+    { vectorSize = this.vectorSize, embeddingModel = this.embeddingModel } = {}
+  ) {
+    return new this.constructor({
+      ...this.options,
+      vectorSize,
+      embeddingModel,
+      collectionName,
     });
-    this.collectionName = "news_articles";
-    this.vectorSize = 768; // Jina embeddings v2 base dimension
   }
 
-  async initializeCollection() {
+  /**
+   * The physical collection behind a name: the alias target, the
+   * collection itself, or null
+   */
+  async lookupCollection() {
+    throw new Error(
+      `${this.constructor.name} must implement lookupCollection()`
+    );
+  }
+
+  /**
+   * The physical collection behind `collectionName`, or null. A deployment
+   * from before the live alias gets the alias pointed at its existing
+   * collection, which is left in place.
+   */
+  async resolveCollection() {
+    const physicalName = await this.lookupCollection(this.collectionName);
+    if (physicalName || !this.legacyCollectionName) return physicalName;
+
+    const legacy = await this.lookupCollection(this.legacyCollectionName);
+    if (!legacy) return null;
+
+    console.log(
+      `🔀 Serving ${legacy} (from ${this.legacyCollectionName}) through alias ${this.collectionName}`
+    );
     try {
-      console.log(`🔄 Initializing Qdrant collection: ${this.collectionName}`);
+      await this.switchAlias(legacy);
+    } catch (error) {
+      // Another process may have created the alias meanwhile
+      const adopted = await this.lookupCollection(this.collectionName);
+      if (!adopted) throw error;
+      return adopted;
+    }
+    return legacy;
+  }
+
+  /**
+   * Create a physical collection for this store's model and dimension,
+   * with its metadata record. Returns the name.
+   */
+  async createCollection() {
+    throw new Error(
+      `${this.constructor.name} must implement createCollection()`
+    );
+  }
+
+  /**
+   * Point the alias at another physical collection in one atomic update.
+   * Returns the collection it pointed at before, or null. Throws if
+   * `collectionName` is a physical collection rather than an alias.
+   */
+  async switchAlias() {
+    throw new Error(`${this.constructor.name} must implement switchAlias()`);
+  }
+
+  /**
+   * Remove a physical collection and its points
+   */
+  async dropCollection() {
+    throw new Error(`${this.constructor.name} must implement dropCollection()`);
+  }
+
+  /**
+   * Point counts and backend details of a physical collection
+   */
+  async getCollectionStats() {
+    throw new Error(
+      `${this.constructor.name} must implement getCollectionStats()`
+    );
+  }
+
+  async setCollectionMetadata() {
+    throw new Error(
+      `${this.constructor.name} must implement setCollectionMetadata()`
+    );
+  }
+
+  /**
+   * The embedding model and dimension a physical collection was built
+   * with, or null for an empty collection without a record
+   */
+  async getCollectionMetadata() {
+    throw new Error(
+      `${this.constructor.name} must implement getCollectionMetadata()`
+    );
+  }
+
+  async deleteCollectionMetadata() {
+    throw new Error(
+      `${this.constructor.name} must implement deleteCollectionMetadata()`
+    );
+  }
+
+  /**
+   * Whether the collection stores keyword (sparse) vectors. Collections
+   * created before hybrid search lack them until re-indexed.
+   */
+  async hasSparseIndex() {
+    throw new Error(`${this.constructor.name} must implement hasSparseIndex()`);
+  }
+
+  /**
+   * Bring an existing collection up to date (indexes and the like)
+   */
+  async prepareCollection() {}
 
-      // Check if collection exists
-      const collections = await this.client.getCollections();
-      const collectionExists = collections.collections.some(
-        (col) => col.name === this.collectionName
+  async upsertPoints() {
+    throw new Error(`${this.constructor.name} must implement upsertPoints()`);
+  }
+
+  async deletePoints() {
+    throw new Error(`${this.constructor.name} must implement deletePoints()`);
+  }
+
+  async queryPoints() {
+    throw new Error(`${this.constructor.name} must implement queryPoints()`);
+  }
+
+  /**
+   * Run several queries; backends with a batch API override this
+   */
+  async queryPointsBatch(requests) {
+    return Promise.all(requests.map((request) => this.queryPoints(request)));
+  }
+
+  async scrollPoints() {
+    throw new Error(`${this.constructor.name} must implement scrollPoints()`);
+  }
+
+  async retrievePoints() {
+    throw new Error(`${this.constructor.name} must implement retrievePoints()`);
+  }
+
+  async initializeCollection() {
+    try {
+      console.log(
+        `🔄 Initializing ${this.backend} collection: ${this.collectionName}`
       );
 
-      if (collectionExists) {
-        console.log(`✅ Collection ${this.collectionName} already exists`);
-        return;
-      }
+      const physicalName = await this.resolveCollection();
 
-      // Create collection
-      await this.client.createCollection(this.collectionName, {
-        vectors: {
-          size: this.vectorSize,
-          distance: "Cosine",
-        },
-      });
+      if (physicalName) {
+        await this.verifyEmbeddingModel({ force: true });
+        console.log(`✅ Collection ${this.collectionName} already exists`);
+        await this.prepareCollection(physicalName);
+      } else {
+        // New installs read through an alias so they can be re-indexed later
+        const created = await this.createCollection(
+          `${this.collectionName}_${Date.now()}`
+        );
+        await this.switchAlias(created);
 
-      console.log(`✅ Created collection: ${this.collectionName}`);
+        console.log(
+          `✅ Created collection: ${created} (alias ${this.collectionName})`
+        );
+      }
     } catch (error) {
       console.error("Error initializing collection:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Throw if the collection was built with a different embedding model or
+   * dimension than this store's, since mixed-model similarity scores are
+   * meaningless. Results are trusted for a minute unless `force` is set.
+   */
+  async verifyEmbeddingModel({ force = false } = {}) {
+    if (!force && Date.now() - this.modelCheckedAt < MODEL_CHECK_TTL_MS) {
+      return;
+    }
+
+    const physicalName = await this.resolveCollection();
+    const metadata =
+      physicalName && (await this.getCollectionMetadata(physicalName));
+
+    if (
+      metadata &&
+      (metadata.embeddingModel !== this.embeddingModel ||
+        metadata.dimension !== this.vectorSize)
+    ) {
+      this.modelCheckedAt = 0;
+      const error = new Error(
+        `Collection ${physicalName} was embedded with ${metadata.embeddingModel} (${metadata.dimension} dimensions) but the embedding provider uses ${this.embeddingModel} (${this.vectorSize} dimensions). Run \`npm run reindex\` to migrate.`
+      );
+      error.code = "EMBEDDING_MODEL_MISMATCH";
+      throw error;
+    }
+
+    this.modelCheckedAt = Date.now();
+  }
+
+  /**
+   * Store articles as one point per chunk. The first chunk reuses the
+   * article ID from generateId(url); every chunk carries `articleId`.
+   */
   async addArticles(articlesWithEmbeddings) {
+    if (articlesWithEmbeddings.length === 0) return 0;
+
     try {
       console.log(
         `🔄 Adding ${articlesWithEmbeddings.length} articles to vector store...`
@@ -52,61 +371,131 @@ class VectorStore {
       // Ensure collection exists
       await this.initializeCollection();
 
+      const sparse = await this.hasSparseIndex();
+      const indexedAt = new Date().toISOString();
+      const articleIds = articlesWithEmbeddings.map((article) =>
+        this.generateId(article.url)
+      );
+
       // Prepare points for insertion
-      const points = articlesWithEmbeddings.map((article, index) => ({
-        id: this.generateId(article.url),
-        vector: article.embedding,
-        payload: {
-          title: article.title,
-          url: article.url,
-          publishedAt: article.publishedAt,
-          source: article.source,
-          description: article.description,
-          content: article.content,
-          embeddingModel: article.embeddingModel,
-          indexedAt: new Date().toISOString(),
-        },
-      }));
+      const points = articlesWithEmbeddings.flatMap((article, index) => {
+        const articleId = articleIds[index];
 
-      // Upsert points (insert or update)
-      await this.client.upsert(this.collectionName, {
-        wait: true,
-        points: points,
+        return article.chunks.map((chunk) => ({
+          id: this.generateChunkId(article.url, chunk.index),
+          vector: chunk.embedding,
+          sparseVector: sparse
+            ? encodeDocument(
+                [article.title, chunk.text].filter(Boolean).join("\n\n")
+              )
+            : null,
+          payload: {
+            articleId,
+            clusterId: article.clusterId || articleId,
+            chunkIndex: chunk.index,
+            chunkCount: article.chunks.length,
+            chunkText: chunk.text,
+            title: article.title,
+            url: article.url,
+            publishedAt: article.publishedAt,
+            publishedAtRaw: article.publishedAtRaw,
+            // Numeric copy of publishedAt for date range filters
+            publishedTimestamp: article.publishedAt
+              ? Date.parse(article.publishedAt)
+              : null,
+            source: article.source,
+            description: article.description,
+            // Full text is kept once, on the article's first chunk
+            content: chunk.index === 0 ? article.content : undefined,
+            author: article.author,
+            imageUrl: article.imageUrl,
+            keywords: article.keywords,
+            section: article.section,
+            language: article.language,
+            feedId: article.feedId,
+            category: article.category,
+            sourceType: article.sourceType,
+            fileName: article.fileName,
+            extractionScore: article.extractionScore,
+            lowQualityExtraction: article.lowQualityExtraction,
+            embeddingModel: article.embeddingModel,
+            // Re-indexed articles keep their original index time
+            indexedAt: article.indexedAt || indexedAt,
+          },
+        }));
       });
 
-      console.log(`✅ Added ${points.length} articles to vector store`);
+      // Drop chunks left over from a previous, longer version of an article
+      await this.deletePoints({
+        must: [{ key: "articleId", match: { any: articleIds } }],
+      });
 
-      return points.length;
+      // Upsert points (insert or update)
+      await this.upsertPoints(points);
+
+      console.log(
+        `✅ Added ${articlesWithEmbeddings.length} articles (${points.length} chunks) to vector store`
+      );
+
+      return articlesWithEmbeddings.length;
     } catch (error) {
       console.error("Error adding articles to vector store:", error.message);
       throw error;
     }
   }
 
-  async searchSimilar(queryEmbedding, limit = 10, scoreThreshold = 0.7) {
+  /**
+   * Map a stored point to a chunk-level search result
+   */
+  formatResult(result) {
+    const payload = result.payload || {};
+
+    return {
+      id: result.id,
+      score: result.score,
+      // Points stored before chunking are whole articles
+      articleId: payload.articleId || result.id,
+      clusterId: payload.clusterId || payload.articleId || result.id,
+      chunkIndex: payload.chunkIndex || 0,
+      chunkText: payload.chunkText || payload.content || "",
+      title: payload.title,
+      url: payload.url,
+      publishedAt: payload.publishedAt,
+      source: payload.source,
+      description: payload.description,
+      content: payload.content,
+      author: payload.author || null,
+      imageUrl: payload.imageUrl || null,
+      keywords: payload.keywords || [],
+      section: payload.section || null,
+      language: payload.language || null,
+    };
+  }
+
+  /**
+   * Search chunks by vector. `filters` are parsed search filters (see
+   * searchFilters.parseSearchFilters) applied as a payload filter.
+   */
+  async searchSimilar(
+    queryEmbedding,
+    limit = 10,
+    scoreThreshold = 0.7,
+    filters = null
+  ) {
     try {
       console.log(`🔍 Searching for similar articles...`);
+      await this.verifyEmbeddingModel();
 
-      const searchResult = await this.client.search(this.collectionName, {
+      const searchResult = await this.queryPoints({
         vector: queryEmbedding,
         limit: limit,
-        score_threshold: scoreThreshold,
-        with_payload: true,
-        with_vector: false,
+        scoreThreshold: scoreThreshold,
+        filter: buildQdrantFilter(filters),
       });
 
-      const results = searchResult.map((result) => ({
-        id: result.id,
-        score: result.score,
-        title: result.payload.title,
-        url: result.payload.url,
-        publishedAt: result.payload.publishedAt,
-        source: result.payload.source,
-        description: result.payload.description,
-        content: result.payload.content,
-      }));
+      const results = searchResult.map((result) => this.formatResult(result));
 
-      console.log(`✅ Found ${results.length} similar articles`);
+      console.log(`✅ Found ${results.length} similar chunks`);
 
       return results;
     } catch (error) {
@@ -115,16 +504,668 @@ class VectorStore {
     }
   }
 
+  /**
+   * Group chunk results into articles. Each article keeps its best score
+   * and the matching passages in reading order.
+   */
+  groupChunksByArticle(chunkResults, limit = Infinity) {
+    const articles = new Map();
+
+    chunkResults.forEach((chunk) => {
+      if (!articles.has(chunk.articleId)) {
+        articles.set(chunk.articleId, {
+          id: chunk.articleId,
+          clusterId: chunk.clusterId,
+          score: chunk.score,
+          title: chunk.title,
+          url: chunk.url,
+          publishedAt: chunk.publishedAt,
+          source: chunk.source,
+          description: chunk.description,
+          author: chunk.author,
+          imageUrl: chunk.imageUrl,
+          keywords: chunk.keywords,
+          section: chunk.section,
+          language: chunk.language,
+          passages: [],
+        });
+      }
+
+      const article = articles.get(chunk.articleId);
+      article.score = Math.max(article.score, chunk.score);
+      article.passages.push({
+        chunkIndex: chunk.chunkIndex,
+        text: chunk.chunkText,
+        score: chunk.score,
+      });
+    });
+
+    return [...articles.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((article) => ({
+        ...article,
+        passages: article.passages.sort((a, b) => a.chunkIndex - b.chunkIndex),
+      }));
+  }
+
+  /**
+   * Keep only the best-scoring article of each story cluster
+   */
+  collapseStories(articles) {
+    const seen = new Set();
+
+    return articles.filter((article) => {
+      if (seen.has(article.clusterId)) return false;
+      seen.add(article.clusterId);
+      return true;
+    });
+  }
+
+  /**
+   * Attach every outlet that ran each story, looked up by cluster ID
+   */
+  async attachOutlets(stories) {
+    if (stories.length === 0) return stories;
+
+    const outletsByCluster = new Map();
+
+    try {
+      const { points } = await this.scrollPoints({
+        filter: {
+          must: [
+            {
+              key: "clusterId",
+              match: { any: stories.map((story) => story.clusterId) },
+            },
+            { key: "chunkIndex", match: { value: 0 } },
+          ],
+        },
+        limit: MAX_CLUSTER_OUTLETS * stories.length,
+        fields: ["clusterId", "source", "url", "title", "publishedAt"],
+      });
+
+      points.forEach(({ payload }) => {
+        if (!outletsByCluster.has(payload.clusterId)) {
+          outletsByCluster.set(payload.clusterId, []);
+        }
+        outletsByCluster.get(payload.clusterId).push({
+          source: payload.source,
+          url: payload.url,
+          title: payload.title,
+          publishedAt: payload.publishedAt,
+        });
+      });
+    } catch (error) {
+      // Outlets are a nice-to-have; never fail retrieval over them
+      console.warn("Could not load story outlets:", error.message);
+    }
+
+    return stories.map((story) => ({
+      ...story,
+      outlets: outletsByCluster.get(story.clusterId) || [
+        {
+          source: story.source,
+          url: story.url,
+          title: story.title,
+          publishedAt: story.publishedAt,
+        },
+      ],
+    }));
+  }
+
+  /**
+   * Keyword search over the sparse index. Scores are BM25 and not bounded
+   * to 0..1, so no threshold applies.
+   */
+  async searchSparse(queryText, limit = 10, filters = null) {
+    try {
+      const sparseVector = encodeQuery(queryText);
+      if (!sparseVector) return [];
+
+      console.log(`🔍 Keyword search for "${queryText}"...`);
+      await this.verifyEmbeddingModel();
+
+      const searchResult = await this.queryPoints({
+        sparseVector,
+        limit: limit,
+        filter: buildQdrantFilter(filters),
+      });
+
+      const results = searchResult.map((result) => this.formatResult(result));
+
+      console.log(`✅ Found ${results.length} keyword-matching chunks`);
+
+      return results;
+    } catch (error) {
+      console.error("Error in keyword search:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search chunks in one of three modes:
+   *
+   * - "dense": cosine similarity of `queryEmbedding` (above `scoreThreshold`)
+   * - "sparse": BM25 keyword match of `queryText`
+   * - "hybrid": both, merged with reciprocal rank fusion
+   *
+   * Sparse and hybrid fall back to dense search on collections without a
+   * keyword index. Hybrid keeps keyword hits that dense search missed only
+   * when they contain at least half of the query's keywords. Hybrid scores
+   * are normalised so a chunk ranked first by both searches scores 1;
+   * `denseScore`/`sparseScore` keep the originals.
+   */
+  async searchChunks(
+    { queryEmbedding, queryText },
+    { mode = "dense", limit = 10, scoreThreshold = 0.7, filters = null } = {}
+  ) {
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown search mode "${mode}" (expected one of: ${SEARCH_MODES.join(
+          ", "
+        )})`
+      );
+    }
+
+    if (mode !== "dense" && !(await this.hasSparseIndex())) {
+      if (!this.sparseFallbackWarned) {
+        console.warn(
+          `⚠️ ${this.collectionName} has no keyword index; using dense search (run \`npm run reindex\` to add one)`
+        );
+        this.sparseFallbackWarned = true;
+      }
+      mode = "dense";
+    }
+
+    if (mode === "dense") {
+      return this.searchSimilar(queryEmbedding, limit, scoreThreshold, filters);
+    }
+    if (mode === "sparse") {
+      return this.searchSparse(queryText, limit, filters);
+    }
+
+    const [denseResults, sparseResults] = await Promise.all([
+      this.searchSimilar(queryEmbedding, limit, scoreThreshold, filters),
+      this.searchSparse(queryText, limit, filters),
+    ]);
+
+    const denseIds = new Set(denseResults.map((result) => result.id));
+    const queryTerms = new Set(tokenize(queryText));
+    const keywordResults = sparseResults.filter(
+      (result) =>
+        denseIds.has(result.id) ||
+        this.keywordCoverage(queryTerms, result) >= MIN_KEYWORD_COVERAGE
+    );
+
+    return this.fuseResults(
+      { dense: denseResults, sparse: keywordResults },
+      limit
+    );
+  }
+
+  /**
+   * Share of the query terms found in a result's title and chunk text
+   */
+  keywordCoverage(queryTerms, result) {
+    if (queryTerms.size === 0) return 0;
+
+    const terms = new Set(
+      tokenize(`${result.title || ""} ${result.chunkText}`)
+    );
+    let matched = 0;
+    queryTerms.forEach((term) => {
+      if (terms.has(term)) matched++;
+    });
+    return matched / queryTerms.size;
+  }
+
+  /**
+   * Reciprocal rank fusion: each result list adds 1 / (RRF_K + rank) to a
+   * chunk's score
+   */
+  fuseResults(resultLists, limit = Infinity) {
+    const fused = new Map();
+    const lists = Object.entries(resultLists);
+
+    lists.forEach(([name, results]) => {
+      results.forEach((result, rank) => {
+        const entry = fused.get(result.id) || {
+          ...result,
+          denseScore: null,
+          sparseScore: null,
+          score: 0,
+        };
+
+        entry[`${name}Score`] = result.score;
+        entry.score += 1 / (RRF_K + rank + 1);
+        fused.set(result.id, entry);
+      });
+    });
+
+    const maxScore = lists.length / (RRF_K + 1);
+    return [...fused.values()]
+      .map((entry) => ({ ...entry, score: entry.score / maxScore }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Search chunks and return the best-matching stories with their passages.
+   * Near-duplicate articles are collapsed to one result per story. Pass
+   * `{ mode, queryText }` for keyword or hybrid search (see searchChunks).
+   */
+  async searchArticles(
+    queryEmbedding,
+    limit = 5,
+    scoreThreshold = 0.7,
+    filters = null,
+    { mode = "dense", queryText = null } = {}
+  ) {
+    const chunkResults = await this.searchChunks(
+      { queryEmbedding, queryText },
+      {
+        mode,
+        limit: limit * CHUNKS_PER_ARTICLE,
+        scoreThreshold,
+        filters,
+      }
+    );
+
+    const stories = this.collapseStories(
+      this.groupChunksByArticle(chunkResults)
+    ).slice(0, limit);
+
+    return this.attachOutlets(stories);
+  }
+
+  /**
+   * Mean dense vector of each stored article's chunks, keyed by the
+   * requested article ID
+   */
+  async getArticleVectors(articleIds) {
+    const sums = new Map();
+    // Qdrant and the memory store return UUID point IDs in dashed form
+    const requested = new Map(
+      articleIds.map((id) => [String(id).replace(/-/g, ""), id])
+    );
+    let offset = null;
+
+    do {
+      const page = await this.scrollPoints({
+        filter: {
+          should: [
+            { key: "articleId", match: { any: articleIds } },
+            { has_id: articleIds },
+          ],
+        },
+        limit: SCROLL_PAGE_SIZE,
+        offset,
+        fields: ["articleId"],
+        withVectors: true,
+      });
+
+      page.points.forEach((point) => {
+        const id = requested.get(
+          String(point.payload.articleId || point.id).replace(/-/g, "")
+        );
+        if (id === undefined || !point.vector) return;
+
+        const sum = sums.get(id);
+        if (!sum) {
+          sums.set(id, [...point.vector]);
+        } else {
+          point.vector.forEach((value, index) => (sum[index] += value));
+        }
+      });
+
+      offset = page.nextOffset;
+    } while (offset !== null && offset !== undefined);
+
+    // Cosine similarity ignores length, so the sum stands in for the mean
+    return sums;
+  }
+
+  /**
+   * Pick up to `limit` articles in score order, taking at most one per
+   * outlet before any outlet gets a second, and so on
+   */
+  diversifyBySource(articles, limit) {
+    const picked = new Set();
+    const perSource = new Map();
+    const target = Math.min(limit, articles.length);
+
+    for (let round = 1; picked.size < target; round++) {
+      articles.forEach((article) => {
+        if (picked.size >= target || picked.has(article)) return;
+
+        const count = perSource.get(article.source) || 0;
+        if (count >= round) return;
+        perSource.set(article.source, count + 1);
+        picked.add(article);
+      });
+    }
+
+    return articles.filter((article) => picked.has(article));
+  }
+
+  /**
+   * Articles most similar to stored ones, searched with their stored
+   * vectors instead of re-embedding. Returns one list per article ID, or
+   * null for an unknown ID; no list contains any of `articleIds`. Lists
+   * are diversified by outlet. `scoreThreshold` defaults to the embedding
+   * provider's similarity threshold.
+   */
+  async findRelatedArticlesBatch(
+    articleIds,
+    {
+      limit = 5,
+      scoreThreshold = this.similarityThreshold ??
+        createEmbeddingProvider().similarityThreshold,
+      filters = null,
+    } = {}
+  ) {
+    try {
+      await this.verifyEmbeddingModel();
+
+      const vectors = await this.getArticleVectors(articleIds);
+      const found = articleIds.filter((id) => vectors.has(id));
+      if (found.length === 0) return articleIds.map(() => null);
+
+      const filter = buildQdrantFilter(filters);
+      const results = await this.queryPointsBatch(
+        found.map((id) => ({
+          vector: vectors.get(id),
+          limit: limit * CHUNKS_PER_ARTICLE * RELATED_CANDIDATE_FACTOR,
+          scoreThreshold,
+          filter: {
+            ...filter,
+            must_not: [
+              { key: "articleId", match: { any: articleIds } },
+              { has_id: articleIds },
+            ],
+          },
+        }))
+      );
+
+      const related = new Map(
+        found.map((id, index) => [
+          id,
+          this.diversifyBySource(
+            this.groupChunksByArticle(
+              results[index].map((result) => this.formatResult(result))
+            ).map(({ passages, ...article }) => article),
+            limit
+          ),
+        ])
+      );
+
+      return articleIds.map((id) => related.get(id) || null);
+    } catch (error) {
+      console.error("Error finding related articles:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * "More like this" for one stored article, or null if it doesn't exist
+   */
+  async findRelatedArticles(articleId, options = {}) {
+    const [related] = await this.findRelatedArticlesBatch([articleId], options);
+    return related;
+  }
+
+  /**
+   * Attach each article's related articles as `related`
+   */
+  async attachRelatedArticles(articles, options = {}) {
+    if (articles.length === 0) return articles;
+
+    try {
+      const related = await this.findRelatedArticlesBatch(
+        articles.map((article) => article.id),
+        options
+      );
+
+      return articles.map((article, index) => ({
+        ...article,
+        related: related[index] || [],
+      }));
+    } catch (error) {
+      // Like outlets, related articles never fail retrieval
+      console.warn("Could not load related articles:", error.message);
+      return articles.map((article) => ({ ...article, related: [] }));
+    }
+  }
+
+  /**
+   * Narrow a payload filter to each article's first chunk
+   */
+  firstChunkFilter(filter = null) {
+    return {
+      ...filter,
+      must: [
+        ...((filter && filter.must) || []),
+        {
+          should: [
+            { key: "chunkIndex", match: { value: 0 } },
+            // Points stored before chunking have no chunkIndex
+            { is_empty: { key: "chunkIndex" } },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * One page of stored articles sorted by publish date (`order` "desc" or
+   * "asc"), narrowed by parsed search filters. Undated articles follow the
+   * dated ones unless a date filter is set. Pass the returned `nextCursor`
+   * back as `cursor` for the next page; it is null on the last page.
+   */
+  async listArticles({
+    limit = 20,
+    cursor = null,
+    order = "desc",
+    filters = null,
+  } = {}) {
+    if (!["asc", "desc"].includes(order)) {
+      throw listError(`order must be "asc" or "desc"`);
+    }
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || 20, 1),
+      MAX_LIST_LIMIT
+    );
+    const state = cursor
+      ? decodeCursor(cursor, order)
+      : { phase: "dated", timestamp: null, seen: [] };
+
+    try {
+      const filter = buildQdrantFilter(filters);
+      const includeUndated = !(filters && (filters.from || filters.to));
+      const points = [];
+      let next = null;
+
+      if (state.phase === "dated") {
+        const must = [...((filter && filter.must) || [])];
+        if (state.timestamp !== null) {
+          must.push({
+            key: "publishedTimestamp",
+            range:
+              order === "desc"
+                ? { lte: state.timestamp }
+                : { gte: state.timestamp },
+          });
+        }
+
+        // Articles sharing the boundary timestamp are excluded by ID
+        const page = await this.scrollPoints({
+          filter: this.firstChunkFilter({
+            must,
+            must_not:
+              state.seen.length > 0 ? [{ has_id: state.seen }] : undefined,
+          }),
+          limit: pageSize + 1,
+          fields: ["articleId", ...ARTICLE_LIST_FIELDS],
+          orderBy: { key: "publishedTimestamp", direction: order },
+        });
+        points.push(...page.points.slice(0, pageSize));
+
+        if (page.points.length > pageSize) {
+          const timestamp =
+            points[points.length - 1].payload.publishedTimestamp;
+          const boundaryIds = points
+            .filter((point) => point.payload.publishedTimestamp === timestamp)
+            .map((point) => point.id);
+
+          next = {
+            phase: "dated",
+            timestamp,
+            seen:
+              timestamp === state.timestamp
+                ? [...state.seen, ...boundaryIds]
+                : boundaryIds,
+          };
+        } else if (includeUndated) {
+          state.phase = "undated";
+          state.offset = null;
+        }
+      }
+
+      if (state.phase === "undated") {
+        const undatedFilter = this.firstChunkFilter({
+          must: [
+            ...((filter && filter.must) || []),
+            { is_empty: { key: "publishedTimestamp" } },
+          ],
+        });
+        const remaining = pageSize - points.length;
+        const page = await this.scrollPoints({
+          filter: undatedFilter,
+          // A full page still checks whether undated articles remain
+          limit: Math.max(remaining, 1),
+          offset: state.offset,
+          fields: ["articleId", ...ARTICLE_LIST_FIELDS],
+        });
+
+        if (remaining > 0) {
+          points.push(...page.points);
+          next =
+            page.nextOffset !== null && page.nextOffset !== undefined
+              ? { phase: "undated", offset: page.nextOffset }
+              : null;
+        } else if (page.points.length > 0) {
+          next = { phase: "undated", offset: null };
+        }
+      }
+
+      return {
+        articles: points.map(({ id, payload }) => {
+          const { articleId, publishedTimestamp, ...fields } = payload;
+          return { id: articleId || id, ...fields };
+        }),
+        nextCursor: next && encodeCursor({ ...next, order }),
+      };
+    } catch (error) {
+      console.error("Error listing articles:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List every stored article (its first chunk) with the requested
+   * payload fields (`null` for the whole payload), paging through the
+   * whole collection. An optional payload filter narrows the articles.
+   */
+  async scrollArticles(
+    fields = ["title", "url", "publishedAt", "source"],
+    filter = null
+  ) {
+    try {
+      const articles = [];
+      let offset = null;
+
+      do {
+        const page = await this.scrollPoints({
+          filter: this.firstChunkFilter(filter),
+          limit: SCROLL_PAGE_SIZE,
+          offset,
+          fields: fields ? ["articleId", ...fields] : null,
+        });
+
+        page.points.forEach((point) => {
+          articles.push({
+            ...point.payload,
+            articleId: (point.payload && point.payload.articleId) || point.id,
+          });
+        });
+
+        offset = page.nextOffset;
+      } while (offset !== null && offset !== undefined);
+
+      return articles;
+    } catch (error) {
+      console.error("Error scrolling articles:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one stored article by ID (the payload of its first chunk), or null
+   */
+  async getArticle(articleId) {
+    try {
+      const points = await this.retrievePoints([articleId]);
+
+      if (points.length === 0) return null;
+      return {
+        ...points[0].payload,
+        articleId: points[0].payload.articleId || points[0].id,
+      };
+    } catch (error) {
+      console.error("Error getting article:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete whole articles (every chunk) by article ID
+   */
+  async deleteArticles(articleIds) {
+    try {
+      for (let i = 0; i < articleIds.length; i += DELETE_BATCH_SIZE) {
+        const batch = articleIds.slice(i, i + DELETE_BATCH_SIZE);
+
+        await this.deletePoints({
+          should: [
+            { key: "articleId", match: { any: batch } },
+            { has_id: batch },
+          ],
+        });
+      }
+
+      console.log(`🗑️ Deleted ${articleIds.length} articles from vector store`);
+      return articleIds.length;
+    } catch (error) {
+      console.error("Error deleting articles:", error.message);
+      throw error;
+    }
+  }
+
   async getCollectionInfo() {
     try {
-      const info = await this.client.getCollection(this.collectionName);
+      const physicalName = await this.resolveCollection();
+      if (!physicalName) return null;
+
+      const stats = await this.getCollectionStats(physicalName);
+      const metadata = await this.getCollectionMetadata(physicalName);
       return {
-        name: info.collection_name,
-        vectorsCount: info.vectors_count,
-        indexedVectorsCount: info.indexed_vectors_count,
-        pointsCount: info.points_count,
-        segmentsCount: info.segments_count,
-        config: info.config,
+        name: this.collectionName,
+        collection: physicalName,
+        backend: this.backend,
+        embeddingModel: metadata ? metadata.embeddingModel : null,
+        dimension: metadata ? metadata.dimension : null,
+        ...stats,
       };
     } catch (error) {
       console.error("Error getting collection info:", error.message);
@@ -132,10 +1173,18 @@ class VectorStore {
     }
   }
 
-  async deleteCollection() {
+  /**
+   * Delete a physical collection (default: the one behind the alias) and
+   * its metadata record
+   */
+  async deleteCollection(name) {
     try {
-      await this.client.deleteCollection(this.collectionName);
-      console.log(`🗑️ Deleted collection: ${this.collectionName}`);
+      const target = name || (await this.resolveCollection());
+      if (!target) return;
+
+      await this.dropCollection(target);
+      await this.deleteCollectionMetadata(target);
+      console.log(`🗑️ Deleted collection: ${target}`);
     } catch (error) {
       console.error("Error deleting collection:", error.message);
       throw error;
@@ -144,10 +1193,7 @@ class VectorStore {
 
   async clearCollection() {
     try {
-      await this.client.delete(this.collectionName, {
-        wait: true,
-        points: {}, // Empty filter deletes all points
-      });
+      await this.deletePoints({});
       console.log(
         `🧹 Cleared all points from collection: ${this.collectionName}`
       );
@@ -158,38 +1204,33 @@ class VectorStore {
   }
 
   generateId(url) {
-    const crypto = require("crypto");
     return crypto.createHash("md5").update(url).digest("hex");
   }
 
-  async batchSearch(queries, limit = 10, scoreThreshold = 0.7) {
+  generateChunkId(url, chunkIndex) {
+    return chunkIndex === 0
+      ? this.generateId(url)
+      : this.generateId(`${url}#chunk-${chunkIndex}`);
+  }
+
+  async batchSearch(queries, limit = 10, scoreThreshold = 0.7, filters = null) {
     try {
       console.log(`🔍 Batch searching with ${queries.length} queries...`);
+      await this.verifyEmbeddingModel();
 
-      const searchRequests = queries.map((queryEmbedding) => ({
-        vector: queryEmbedding,
-        limit: limit,
-        score_threshold: scoreThreshold,
-        with_payload: true,
-        with_vector: false,
-      }));
-
-      const results = await this.client.searchBatch(this.collectionName, {
-        searches: searchRequests,
-      });
+      const filter = buildQdrantFilter(filters);
+      const results = await this.queryPointsBatch(
+        queries.map((queryEmbedding) => ({
+          vector: queryEmbedding,
+          limit: limit,
+          scoreThreshold: scoreThreshold,
+          filter,
+        }))
+      );
 
       return results.map((searchResult, index) => ({
         queryIndex: index,
-        results: searchResult.map((result) => ({
-          id: result.id,
-          score: result.score,
-          title: result.payload.title,
-          url: result.payload.url,
-          publishedAt: result.payload.publishedAt,
-          source: result.payload.source,
-          description: result.payload.description,
-          content: result.payload.content,
-        })),
+        results: searchResult.map((result) => this.formatResult(result)),
       }));
     } catch (error) {
       console.error("Error in batch search:", error.message);
@@ -198,4 +1239,8 @@ class VectorStore {
   }
 }
 
+VectorStore.CHUNKS_PER_ARTICLE = CHUNKS_PER_ARTICLE;
+VectorStore.SEARCH_MODES = SEARCH_MODES;
+VectorStore.MODEL_CHECK_TTL_MS = MODEL_CHECK_TTL_MS;
+
 module.exports = VectorStore;
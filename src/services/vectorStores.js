@@ -0,0 +1,34 @@
+const QdrantVectorStore = require("./qdrantVectorStore");
+const MemoryVectorStore = require("./memoryVectorStore");
+require("dotenv").config();
+
+const BACKENDS = {
+  qdrant: (options) => new QdrantVectorStore(options),
+  memory: (options) => new MemoryVectorStore(options),
+};
+
+const BACKEND_NAMES = Object.keys(BACKENDS);
+
+/**
+ * Create the vector store named by VECTOR_STORE (default "qdrant"). Options
+ * are passed to the backend (see VectorStore).
+ */
+function createVectorStore(options = {}, name = process.env.VECTOR_STORE) {
+  const backendName = (name || "qdrant").toLowerCase();
+  const factory = BACKENDS[backendName];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown vector store "${name}" (expected one of: ${BACKEND_NAMES.join(
+        ", "
+      )})`
+    );
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createVectorStore,
+  BACKEND_NAMES,
+};
@@ -0,0 +1,393 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Everything below runs without network or API keys: feeds and pages are
+// replayed from fixtures/http into a throwaway memory store
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "news-offline-"));
+Object.assign(process.env, {
+  HTTP_FIXTURE_MODE: "replay",
+  HTTP_FIXTURE_DIR: path.join(__dirname, "fixtures/http"),
+  CRAWLER_HOST_DELAY_MS: "0",
+  EMBEDDING_PROVIDER: "local",
+  EMBEDDING_CACHE: "off",
+  VECTOR_STORE: "memory",
+  VECTOR_STORE_FILE: path.join(workDir, "vector-store.json"),
+});
+
+const FeedRegistry = require("./src/services/feedRegistry");
+const { fetchFeed } = require("./src/services/newsIngestion");
+const {
+  createEmbeddingProvider,
+} = require("./src/services/embeddingProviders");
+const { createVectorStore } = require("./src/services/vectorStores");
+const {
+  parseSearchFilters,
+  parseQueryFilters,
+} = require("./src/services/searchFilters");
+const { highlightSnippet } = require("./src/services/snippets");
+const { chunkText } = require("./src/services/chunker");
+const { encodeVector, decodeVector } = require("./src/services/embeddingCache");
+const {
+  simhash,
+  hammingDistance,
+  assignStoryClusters,
+} = require("./src/services/dedupe");
+
+const FIXTURE_FEEDS = [
+  {
+    url: "https://tech.example.com/feed.xml",
+    name: "Example Tech",
+    category: "technology",
+  },
+  {
+    url: "https://sports.example.org/rss",
+    name: "Example Sports",
+    category: "sports",
+  },
+];
+
+const CHIPS_URL = "https://tech.example.com/2026/03/chip-export-controls";
+const CHIPS_COPY_URL =
+  "https://tech.example.com/2026/03/wire-chip-export-curbs";
+const FOOTBALL_URL = "https://sports.example.org/football/bayern-dortmund";
+const UNDATED_URL = "https://sports.example.org/football/cup-draw";
+
+let passed = 0;
+const failed = [];
+
+async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed.push(name);
+    console.log(`❌ ${name}:`, error.message);
+  }
+}
+
+function invalidFilters(error) {
+  return error.code === "INVALID_FILTERS";
+}
+
+async function testOffline() {
+  console.log("🧪 Testing offline (fixtures replayed, memory store)\n");
+
+  // Test 1: Search filters
+  console.log("1. Testing search filters...");
+  const now = Date.parse("2026-03-10T00:00:00Z");
+
+  await check("No filters parse to null", () => {
+    assert.strictEqual(parseSearchFilters(null), null);
+    assert.strictEqual(parseSearchFilters({}), null);
+    assert.strictEqual(parseQueryFilters({ q: "chips" }), null);
+  });
+
+  await check("Keyword filters are trimmed and deduplicated", () => {
+    assert.deepStrictEqual(
+      parseSearchFilters({
+        sources: [" Reuters ", "Reuters"],
+        languages: "EN",
+      }),
+      { sources: ["Reuters"], languages: ["en"] }
+    );
+  });
+
+  await check("since becomes a from bound; date-only to covers the day", () => {
+    assert.deepStrictEqual(
+      parseSearchFilters({ since: "7d", to: "2026-03-09" }, now),
+      {
+        from: "2026-03-03T00:00:00.000Z",
+        to: "2026-03-09T23:59:59.999Z",
+      }
+    );
+  });
+
+  await check("Query-string filters split comma lists", () => {
+    assert.deepStrictEqual(
+      parseQueryFilters(
+        { sources: "BBC News, Reuters", categories: ["tech", "world"] },
+        now
+      ),
+      { sources: ["BBC News", "Reuters"], categories: ["tech", "world"] }
+    );
+  });
+
+  await check("Invalid filters are rejected", () => {
+    assert.throws(() => parseSearchFilters({ since: "soon" }), invalidFilters);
+    assert.throws(() => parseSearchFilters({ since: "0d" }), invalidFilters);
+    assert.throws(() => parseSearchFilters({ author: "x" }), invalidFilters);
+    assert.throws(() => parseSearchFilters({ sources: [""] }), invalidFilters);
+    assert.throws(
+      () => parseSearchFilters({ from: "2026-03-09", to: "2026-03-01" }),
+      invalidFilters
+    );
+  });
+
+  // Test 2: Snippet highlighting
+  console.log("\n2. Testing snippet highlighting...");
+
+  await check("Query terms are marked and the text is HTML-escaped", () => {
+    assert.strictEqual(
+      highlightSnippet("<b>Node.js</b> patches CVE-2024-3094", "node.js"),
+      "&lt;b&gt;<mark>Node.js</mark>&lt;/b&gt; patches CVE-2024-3094"
+    );
+    assert.strictEqual(
+      highlightSnippet("Fix for CVE-2024-3094 shipped", "cve-2024-3094"),
+      "Fix for <mark>CVE-2024-3094</mark> shipped"
+    );
+  });
+
+  await check("Long text is cut around the densest match", () => {
+    const text = `${"filler words here ".repeat(
+      20
+    )}the central bank held interest rates ${"and more text after ".repeat(
+      20
+    )}`;
+    const snippet = highlightSnippet(text, "interest rates", {
+      maxLength: 80,
+    });
+
+    assert.ok(snippet.startsWith("…") && snippet.endsWith("…"), snippet);
+    assert.ok(
+      snippet.includes("<mark>interest</mark> <mark>rates</mark>"),
+      snippet
+    );
+    assert.ok(snippet.length <= 80 + 2 + "<mark></mark>".length * 2, snippet);
+  });
+
+  await check("Text without query terms gives its opening", () => {
+    const snippet = highlightSnippet("One two three four five", "zebra", {
+      maxLength: 10,
+    });
+    assert.strictEqual(snippet, "One two…");
+  });
+
+  // Test 3: Replay the fixture feeds
+  console.log("\n3. Replaying fixture feeds...");
+  const feedRegistry = new FeedRegistry(path.join(workDir, "feeds.json"));
+  const feedArticles = await Promise.all(
+    FIXTURE_FEEDS.map((feed) => fetchFeed(feedRegistry.buildFeed(feed)))
+  );
+  const articles = feedArticles.flat();
+  const byUrl = new Map(articles.map((article) => [article.url, article]));
+
+  await check("Every fixture article is fetched with its page text", () => {
+    assert.strictEqual(articles.length, 5);
+    articles.forEach((article) =>
+      assert.ok(article.content.length > 200, `${article.url} has no content`)
+    );
+    assert.strictEqual(byUrl.get(FOOTBALL_URL).source, "Example Sports");
+    assert.strictEqual(byUrl.get(UNDATED_URL).publishedAt, null);
+  });
+
+  // Test 4: SimHash dedupe
+  console.log("\n4. Testing SimHash dedupe...");
+  const vectorStore = createVectorStore();
+
+  await check("Fingerprints are stable and close for a syndicated copy", () => {
+    const original = simhash(byUrl.get(CHIPS_URL).content);
+    const copy = simhash(byUrl.get(CHIPS_COPY_URL).content);
+    const other = simhash(byUrl.get(FOOTBALL_URL).content);
+
+    assert.strictEqual(original, simhash(byUrl.get(CHIPS_URL).content));
+    assert.ok(hammingDistance(original, copy) <= 6);
+    assert.ok(hammingDistance(original, other) > 6);
+  });
+
+  await check("Near-duplicates share a story cluster", () => {
+    const { duplicates } = assignStoryClusters(articles, null, (url) =>
+      vectorStore.generateId(url)
+    );
+    const clusters = new Set(articles.map((article) => article.clusterId));
+
+    assert.strictEqual(duplicates, 1);
+    assert.strictEqual(clusters.size, 4);
+    assert.strictEqual(
+      byUrl.get(CHIPS_COPY_URL).clusterId,
+      vectorStore.generateId(CHIPS_URL)
+    );
+  });
+
+  // Test 5: Memory store search
+  console.log("\n5. Testing memory store search...");
+  const embeddings = createEmbeddingProvider();
+  const { articles: embedded } = await embeddings.embedArticles(articles);
+  await vectorStore.initializeCollection();
+  await vectorStore.addArticles(embedded);
+
+  const search = async (query, filters = null, mode = "dense") => {
+    const { embedding } = await embeddings.embedText(query);
+    return vectorStore.searchArticles(
+      embedding,
+      5,
+      embeddings.similarityThreshold,
+      filters,
+      { mode, queryText: query }
+    );
+  };
+
+  await check("The matching story ranks first with both outlets", async () => {
+    const results = await search("semiconductor export controls");
+
+    assert.ok(results.length > 0);
+    assert.ok([CHIPS_URL, CHIPS_COPY_URL].includes(results[0].url));
+    assert.strictEqual(results[0].outlets.length, 2);
+    assert.ok(
+      results.every((result, index) =>
+        index === 0 ? true : results[index - 1].score >= result.score
+      )
+    );
+  });
+
+  await check("Keyword filters narrow the results", async () => {
+    const query = "Bayern Munich Bundesliga title race";
+    const unfiltered = await search(query);
+    const results = await search(
+      query,
+      parseSearchFilters({ sources: "Example Tech" })
+    );
+
+    assert.strictEqual(unfiltered[0].url, FOOTBALL_URL);
+    assert.ok(results.every((result) => result.source === "Example Tech"));
+  });
+
+  await check("Date filters leave out undated articles", async () => {
+    const query = "cup quarter-final draw";
+    const unfiltered = await search(query);
+    const results = await search(
+      query,
+      parseSearchFilters({ from: "2026-03-01" })
+    );
+
+    assert.strictEqual(unfiltered[0].url, UNDATED_URL);
+    assert.ok(results.every((result) => result.url !== UNDATED_URL));
+  });
+
+  await check("Keyword search finds exact terms", async () => {
+    const results = await search("Bundesliga", null, "sparse");
+
+    assert.strictEqual(results[0].url, FOOTBALL_URL);
+  });
+
+  // Test 6: Article listing
+  console.log("\n6. Testing article listing...");
+
+  const listAll = async (order) => {
+    const urls = [];
+    let cursor = null;
+    do {
+      const page = await vectorStore.listArticles({ limit: 2, cursor, order });
+      assert.ok(page.articles.length <= 2);
+      urls.push(...page.articles.map((article) => article.url));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return urls;
+  };
+
+  await check(
+    "Cursor paging visits every article once, newest first",
+    async () => {
+      const urls = await listAll("desc");
+
+      assert.strictEqual(urls.length, 5);
+      assert.strictEqual(new Set(urls).size, 5);
+      assert.strictEqual(urls[0], FOOTBALL_URL);
+      assert.strictEqual(urls[4], UNDATED_URL);
+    }
+  );
+
+  await check("Ascending order keeps undated articles last", async () => {
+    const urls = await listAll("asc");
+
+    assert.strictEqual(urls.length, 5);
+    assert.ok([CHIPS_URL, CHIPS_COPY_URL].includes(urls[0]));
+    assert.strictEqual(urls[4], UNDATED_URL);
+  });
+
+  await check("Date filters drop undated articles from the list", async () => {
+    const { articles: listed, nextCursor } = await vectorStore.listArticles({
+      filters: parseSearchFilters({ sources: "Example Sports" }),
+    });
+    const dated = await vectorStore.listArticles({
+      filters: parseSearchFilters({ from: "2026-03-01" }),
+    });
+
+    assert.strictEqual(listed.length, 2);
+    assert.strictEqual(nextCursor, null);
+    assert.strictEqual(dated.articles.length, 4);
+  });
+
+  await check("A cursor only works for the order it came from", async () => {
+    const { nextCursor } = await vectorStore.listArticles({ limit: 1 });
+
+    await assert.rejects(
+      vectorStore.listArticles({ cursor: nextCursor, order: "asc" }),
+      (error) => error.code === "INVALID_LIST_REQUEST"
+    );
+    await assert.rejects(
+      vectorStore.listArticles({ cursor: "not-a-cursor" }),
+      (error) => error.code === "INVALID_LIST_REQUEST"
+    );
+  });
+
+  // Test 7: Embedding cache encoding
+  console.log("\n7. Testing embedding cache encoding...");
+
+  await check("Vectors round-trip through an unaligned buffer", () => {
+    const vector = [0.25, -1.5, 3];
+    // Redis hands back slices of a shared buffer at odd offsets
+    const shared = Buffer.concat([Buffer.from([7]), encodeVector(vector)]);
+    const slice = shared.subarray(1);
+
+    assert.notStrictEqual(slice.byteOffset % 4, 0);
+    assert.deepStrictEqual(decodeVector(slice), vector);
+  });
+
+  // Test 8: Chunking
+  console.log("\n8. Testing chunking...");
+
+  await check("Decimals, domains and abbreviations stay whole", () => {
+    const text =
+      "He said 3.5% growth was likely, e.g. in Q3. Details are on example.com today. Markets rose.";
+
+    assert.deepStrictEqual(chunkText(text, { chunkSize: 50, overlap: 0 }), [
+      "He said 3.5% growth was likely, e.g. in Q3.",
+      "Details are on example.com today. Markets rose.",
+    ]);
+  });
+
+  await check("Words longer than the chunk size are cut", () => {
+    const token = "A".repeat(250);
+    const chunks = chunkText(`See ${token} here.`, {
+      chunkSize: 100,
+      overlap: 0,
+    });
+
+    assert.ok(chunks.every((chunk) => chunk.length <= 100));
+    assert.strictEqual(chunks.join("").replace(/[^A]/g, ""), token);
+  });
+
+  console.log(`\n🎉 ${passed} passed, ${failed.length} failed`);
+  if (failed.length > 0) {
+    throw new Error(`Failed: ${failed.join(", ")}`);
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  testOffline()
+    .then(() => 0)
+    .catch((error) => {
+      console.error("Fatal test error:", error.message);
+      return 1;
+    })
+    .then((code) => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      process.exit(code);
+    });
+}
+
+module.exports = testOffline;